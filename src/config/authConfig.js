@@ -0,0 +1,74 @@
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+/**
+ * Token settings.
+ *
+ * Access tokens are signed either with a shared secret (HS256, JWT_SECRET) or
+ * with an RSA key pair (RS256, JWT_PRIVATE_KEY_PATH and JWT_PUBLIC_KEY_PATH);
+ * the key pair wins when both are configured. Access tokens are short-lived;
+ * sessions are kept alive with rotating refresh tokens stored server-side.
+ */
+const MIN_SECRET_LENGTH = 32;
+
+const ACCESS_TOKEN_TTL_SECONDS = (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15) * 60;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+let keys = null;
+
+/**
+ * Reads the signing configuration.
+ * @returns {{algorithm: string, signingKey: string|Buffer, verificationKey: string|Buffer}}
+ */
+const loadKeys = () => {
+    const { JWT_SECRET, JWT_PRIVATE_KEY_PATH, JWT_PUBLIC_KEY_PATH } = process.env;
+
+    if (JWT_PRIVATE_KEY_PATH || JWT_PUBLIC_KEY_PATH) {
+        if (!JWT_PRIVATE_KEY_PATH || !JWT_PUBLIC_KEY_PATH) {
+            throw new Error('JWT_PRIVATE_KEY_PATH and JWT_PUBLIC_KEY_PATH must be set together.');
+        }
+        return {
+            algorithm: 'RS256',
+            signingKey: fs.readFileSync(JWT_PRIVATE_KEY_PATH),
+            verificationKey: fs.readFileSync(JWT_PUBLIC_KEY_PATH)
+        };
+    }
+
+    if (!JWT_SECRET) {
+        throw new Error('JWT_SECRET (or JWT_PRIVATE_KEY_PATH and JWT_PUBLIC_KEY_PATH) is not defined in .env file');
+    }
+    if (JWT_SECRET.length < MIN_SECRET_LENGTH) {
+        throw new Error(`JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters long.`);
+    }
+    return { algorithm: 'HS256', signingKey: JWT_SECRET, verificationKey: JWT_SECRET };
+};
+
+/**
+ * The signing configuration, read on first use.
+ * @returns {{algorithm: string, signingKey: string|Buffer, verificationKey: string|Buffer}}
+ */
+const getKeys = () => {
+    if (!keys) {
+        keys = loadKeys();
+    }
+    return keys;
+};
+
+/**
+ * Checks the token configuration at startup: the keys can be read, and a
+ * token signed with them verifies.
+ * @throws {Error} If the configuration is missing or unusable
+ */
+const validateAuthConfig = () => {
+    const { algorithm, signingKey, verificationKey } = getKeys();
+    const probe = jwt.sign({ probe: true }, signingKey, { algorithm, expiresIn: 60 });
+    jwt.verify(probe, verificationKey, { algorithms: [algorithm] });
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_MS,
+    getKeys,
+    validateAuthConfig
+};
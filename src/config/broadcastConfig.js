@@ -0,0 +1,34 @@
+/**
+ * Who may watch a game, and how far behind spectators are kept.
+ * - private: the players only.
+ * - link: anyone who has the game ID; not listed.
+ * - public: anyone, and listed in the live games.
+ */
+const VISIBILITIES = ['private', 'link', 'public'];
+
+const MAX_BROADCAST_DELAY = 20; // Plies
+
+/**
+ * Parses the spectating options of a new game from a request body.
+ * @param {object} input
+ * @param {string} [input.visibility] - One of VISIBILITIES
+ * @param {number} [input.broadcastDelay=0] - Plies spectators are kept behind the live position
+ * @param {string} defaultVisibility - Used when `visibility` is omitted
+ * @returns {{visibility: string, broadcastDelay: number}}
+ */
+const parseBroadcastOptions = ({ visibility, broadcastDelay = 0 }, defaultVisibility) => {
+    const parsedVisibility = visibility === undefined ? defaultVisibility : visibility;
+    if (!VISIBILITIES.includes(parsedVisibility)) {
+        throw new Error(`Invalid visibility: ${visibility}. Must be one of ${VISIBILITIES.join(', ')}.`);
+    }
+    if (!Number.isInteger(broadcastDelay) || broadcastDelay < 0 || broadcastDelay > MAX_BROADCAST_DELAY) {
+        throw new Error(`broadcastDelay must be an integer between 0 and ${MAX_BROADCAST_DELAY} plies.`);
+    }
+    return { visibility: parsedVisibility, broadcastDelay };
+};
+
+module.exports = {
+    VISIBILITIES,
+    MAX_BROADCAST_DELAY,
+    parseBroadcastOptions
+};
@@ -0,0 +1,22 @@
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+// Comma-separated list of allowed origins, e.g. "https://chess.example.com,http://localhost:3000"
+const allowedOrigins = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+if (allowedOrigins.length === 0) {
+    logger.warn('CORS_ORIGINS is not set; allowing all origins. Set it in production.');
+}
+
+// Shared by the Express cors() middleware and the Socket.IO server
+const corsOptions = {
+    origin: allowedOrigins.length > 0 ? allowedOrigins : '*',
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
+};
+
+module.exports = {
+    corsOptions
+};
@@ -0,0 +1,28 @@
+/**
+ * Glicko-2 rating settings.
+ *
+ * Ratings are kept separately per time control category (see
+ * config/timeControlConfig). The engine levels in stockfishConfig act as
+ * opponents with a fixed rating (their `elo`) and a small, constant rating
+ * deviation, since their strength does not change.
+ */
+const RATING_CATEGORIES = ['bullet', 'blitz', 'rapid', 'classical', 'untimed'];
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350; // Rating deviation of a new player
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_RD = 45; // Keeps ratings responsive after many games
+const TAU = 0.5; // Constrains how fast volatility changes
+const ENGINE_RD = 50; // Rating deviation assumed for engine levels
+const PROVISIONAL_RD = 110; // Ratings with a higher deviation are shown as provisional
+
+module.exports = {
+    RATING_CATEGORIES,
+    DEFAULT_RATING,
+    DEFAULT_RD,
+    DEFAULT_VOLATILITY,
+    MIN_RD,
+    TAU,
+    ENGINE_RD,
+    PROVISIONAL_RD
+};
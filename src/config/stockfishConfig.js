@@ -24,26 +24,108 @@ const stockfishDifficultyLevels = {
     10: { skillLevel: 20, depth: 15, movetime: 1000, elo: 3000, contempt: 100 } // Max strength for skill level, higher depth/movetime
 };
 
-// Function to get UCI options for a given difficulty level
-const getStockfishOptionsForDifficulty = (level) => {
+// Allowed ranges of the settings that make up a difficulty level or an engine profile
+const ENGINE_SETTING_RANGES = {
+    skillLevel: { min: 0, max: 20, integer: true },
+    elo: { min: 400, max: 3200, integer: true },
+    contempt: { min: -100, max: 100, integer: true },
+    depth: { min: 1, max: 30, integer: true },
+    movetime: { min: 10, max: 10000, integer: true }, // ms
+    errorRate: { min: 0, max: 1, integer: false } // Share of moves where the engine deliberately plays a weaker candidate
+};
+
+/**
+ * Engine settings of a fixed difficulty level.
+ * @param {number} level - 1-10
+ * @returns {{skillLevel: number, elo: number, contempt: number, depth: number, movetime: number, errorRate: number}}
+ */
+const getEngineSettingsForDifficulty = (level) => {
     const config = stockfishDifficultyLevels[level];
     if (!config) {
         throw new Error(`Invalid difficulty level: ${level}. Must be between 1 and 10.`);
     }
+    const { skillLevel, elo, contempt, depth, movetime } = config;
+    return { skillLevel, elo, contempt, depth, movetime, errorRate: 0 };
+};
 
+/**
+ * Engine settings for an arbitrary Elo, e.g. for adaptive games: UCI_Elo is the
+ * Elo itself, and the other settings are taken from the level closest to it,
+ * so search limits scale with the strength.
+ * @param {number} elo
+ * @returns {object} - See getEngineSettingsForDifficulty
+ */
+const getEngineSettingsForElo = (elo) => {
+    const levels = Object.keys(stockfishDifficultyLevels);
+    const closest = levels.reduce((best, level) => (
+        Math.abs(stockfishDifficultyLevels[level].elo - elo) < Math.abs(stockfishDifficultyLevels[best].elo - elo) ? level : best
+    ));
+    const { min, max } = ENGINE_SETTING_RANGES.elo;
+    return { ...getEngineSettingsForDifficulty(closest), elo: Math.min(Math.max(Math.round(elo), min), max) };
+};
+
+/**
+ * Validates engine settings, e.g. from a profile request. Settings left out
+ * are taken from `base`.
+ * @param {object} input
+ * @param {object} [base] - Current settings when updating; defaults to level 5
+ * @returns {object} - Complete settings
+ * @throws {Error} If a setting is unknown or out of range
+ */
+const parseEngineSettings = (input, base = getEngineSettingsForDifficulty(5)) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('settings must be an object.');
+    }
+    const settings = { ...base };
+    for (const [name, value] of Object.entries(input)) {
+        const range = ENGINE_SETTING_RANGES[name];
+        if (!range) {
+            throw new Error(`Unknown engine setting: ${name}.`);
+        }
+        if (typeof value !== 'number' || (range.integer && !Number.isInteger(value)) || value < range.min || value > range.max) {
+            throw new Error(`${name} must be ${range.integer ? 'an integer' : 'a number'} between ${range.min} and ${range.max}.`);
+        }
+        settings[name] = value;
+    }
+    return settings;
+};
+
+/**
+ * UCI options and go command for engine settings.
+ * @param {object} settings - See getEngineSettingsForDifficulty
+ * @returns {{options: string[], searchParams: string}}
+ */
+const getStockfishOptions = (settings) => {
     const options = [
-        `setoption name Skill Level value ${config.skillLevel}`,
+        `setoption name Skill Level value ${settings.skillLevel}`,
         `setoption name UCI_LimitStrength value true`, // Enable ELO limiting
-        `setoption name UCI_Elo value ${config.elo}`,
-        `setoption name Contempt value ${config.contempt}`
+        `setoption name UCI_Elo value ${settings.elo}`,
+        `setoption name Contempt value ${settings.contempt}`
     ];
     return {
         options,
-        searchParams: `go depth ${config.depth} movetime ${config.movetime}`
+        searchParams: `go depth ${settings.depth} movetime ${settings.movetime}`
     };
 };
 
+// Function to get UCI options for a given difficulty level
+const getStockfishOptionsForDifficulty = (level) => getStockfishOptions(getEngineSettingsForDifficulty(level));
+
+// UCI options for analysis and other full-strength searches. Pooled engines are
+// shared with games, so these undo any strength limit a game search set.
+const fullStrengthOptions = [
+    'setoption name UCI_LimitStrength value false',
+    'setoption name Skill Level value 20',
+    'setoption name Contempt value 0'
+];
+
 module.exports = {
+    ENGINE_SETTING_RANGES,
+    getEngineSettingsForDifficulty,
+    getEngineSettingsForElo,
+    parseEngineSettings,
+    getStockfishOptions,
     getStockfishOptionsForDifficulty,
+    fullStrengthOptions,
     stockfishDifficultyLevels // Export for reference
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Time control settings.
+ *
+ * A time control is written as "minutes+seconds" (e.g. "3+2", "10+0", "15+10"):
+ * the starting time per side and the per-move bonus. The bonus is applied in one of
+ * two ways:
+ * - fischer: the bonus is added to the mover's clock after every move.
+ * - bronstein: the mover gets back the time they used on the move, up to the bonus.
+ */
+const CLOCK_MODES = ['fischer', 'bronstein'];
+
+const MAX_INITIAL_MINUTES = 180;
+const MAX_INCREMENT_SECONDS = 180;
+
+/**
+ * Parses a time control from a request body.
+ * @param {string|{initial: number, increment?: number, mode?: string}|null} input -
+ *   A "minutes+seconds" label, or an object with `initial` in minutes and `increment` in seconds
+ * @param {string} [mode='fischer'] - 'fischer' or 'bronstein' (an object's own `mode` takes precedence)
+ * @returns {{label: string, initialMs: number, incrementMs: number, mode: string}|null} -
+ *   null when no time control was requested (untimed game)
+ */
+const parseTimeControl = (input, mode = 'fischer') => {
+    if (input === null || input === undefined || input === '') {
+        return null;
+    }
+
+    let initial;
+    let increment;
+    if (typeof input === 'string') {
+        const match = input.trim().match(/^(\d+(?:\.\d+)?)\+(\d+)$/);
+        if (!match) {
+            throw new Error(`Invalid time control: ${input}. Expected "minutes+seconds", e.g. "10+0".`);
+        }
+        initial = Number(match[1]);
+        increment = Number(match[2]);
+    } else if (typeof input === 'object') {
+        initial = Number(input.initial);
+        increment = Number(input.increment || 0);
+        mode = input.mode || mode;
+    } else {
+        throw new Error('Invalid time control.');
+    }
+
+    if (!Number.isFinite(initial) || initial <= 0 || initial > MAX_INITIAL_MINUTES) {
+        throw new Error(`Initial time must be between 0 and ${MAX_INITIAL_MINUTES} minutes.`);
+    }
+    if (!Number.isInteger(increment) || increment < 0 || increment > MAX_INCREMENT_SECONDS) {
+        throw new Error(`Increment must be a whole number of seconds between 0 and ${MAX_INCREMENT_SECONDS}.`);
+    }
+    if (!CLOCK_MODES.includes(mode)) {
+        throw new Error(`Invalid clock mode: ${mode}. Must be one of ${CLOCK_MODES.join(', ')}.`);
+    }
+
+    return {
+        label: `${initial}+${increment}`,
+        initialMs: Math.round(initial * 60 * 1000),
+        incrementMs: increment * 1000,
+        mode
+    };
+};
+
+/**
+ * Rating category of a time control, from its estimated game duration:
+ * initial time plus 40 increments.
+ * @param {{initialMs: number, incrementMs: number}|null} timeControl - null for untimed games
+ * @returns {string} - 'bullet', 'blitz', 'rapid', 'classical' or 'untimed'
+ */
+const getTimeControlCategory = (timeControl) => {
+    if (!timeControl) {
+        return 'untimed';
+    }
+    const estimatedSeconds = (timeControl.initialMs + 40 * timeControl.incrementMs) / 1000;
+    if (estimatedSeconds < 180) return 'bullet';
+    if (estimatedSeconds < 480) return 'blitz';
+    if (estimatedSeconds < 1500) return 'rapid';
+    return 'classical';
+};
+
+module.exports = {
+    parseTimeControl,
+    getTimeControlCategory,
+    CLOCK_MODES
+};
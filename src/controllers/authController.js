@@ -1,6 +1,8 @@
 const User = require("../models/User");
-const jwt = require("jsonwebtoken");
+const tokenService = require("../services/tokenService");
 const { validationResult } = require("express-validator");
+const { toRatingSummary } = require("../services/ratingService");
+const { RATING_CATEGORIES } = require("../config/ratingConfig");
 
 exports.registerUser = async (req, res) => {
   const errors = validationResult(req);
@@ -21,16 +23,8 @@ exports.registerUser = async (req, res) => {
 
     await user.save();
 
-    const payload = {
-      user: {
-        id: user.id,
-      },
-    };
-
-    jwt.sign(payload, "secret", { expiresIn: "24h" }, (err, token) => {
-      if (err) throw err;
-      res.json({ token });
-    });
+    const tokens = await tokenService.issueTokens(user.id, { userAgent: req.get("user-agent") });
+    res.json(tokens);
   } catch (err) {
     console.error(err.message);
     res.status(500).send("Server error");
@@ -58,16 +52,8 @@ exports.loginUser = async (req, res) => {
       return res.status(400).json({ msg: "Invalid Credentials" });
     }
 
-    const payload = {
-      user: {
-        id: user.id,
-      },
-    };
-
-    jwt.sign(payload, "secret", { expiresIn: "24h" }, (err, token) => {
-      if (err) throw err;
-      res.json({ token });
-    });
+    const tokens = await tokenService.issueTokens(user.id, { userAgent: req.get("user-agent") });
+    res.json(tokens);
   } catch (err) {
     console.error(err.message);
     res.status(500).send("Server error");
@@ -77,7 +63,50 @@ exports.loginUser = async (req, res) => {
 exports.getUser = async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select("-password");
-    res.json(user);
+    if (!user) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    const ratings = {};
+    for (const category of RATING_CATEGORIES) {
+      ratings[category] = toRatingSummary(user.ratings[category]);
+    }
+    res.json({ ...user.toObject(), ratings });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+};
+
+exports.refreshToken = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const tokens = await tokenService.refreshTokens(req.body.refreshToken);
+    res.json(tokens);
+  } catch (err) {
+    res.status(401).json({ msg: "Invalid refresh token" });
+  }
+};
+
+// Ends the session of the access token used for the request
+exports.logout = async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.user.id, req.sessionId);
+    res.json({ msg: "Logged out" });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+};
+
+exports.logoutAll = async (req, res) => {
+  try {
+    const sessions = await tokenService.revokeAllSessions(req.user.id);
+    res.json({ msg: "Logged out of all sessions", sessions });
   } catch (err) {
     console.error(err.message);
     res.status(500).send("Server error");
@@ -1,17 +1,20 @@
-const jwt = require("jsonwebtoken");
+const { verifyAccessToken } = require("../services/tokenService");
 
-module.exports = function (req, res, next) {
+module.exports = async function (req, res, next) {
   const token = req.header("x-auth-token");
 
   if (!token) {
     return res.status(401).json({ msg: "No token, authorization denied" });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, "secret");
-    req.user = decoded.user;
-    next();
+    decoded = await verifyAccessToken(token);
   } catch (err) {
-    res.status(401).json({ msg: "Token is not valid" });
+    return res.status(401).json({ msg: "Token is not valid" });
   }
-};
\ No newline at end of file
+
+  req.user = decoded.user;
+  req.sessionId = decoded.sid;
+  next();
+};
@@ -0,0 +1,16 @@
+const User = require("../models/User");
+
+// Use after the auth middleware: only lets administrators through
+module.exports = async function (req, res, next) {
+  let user;
+  try {
+    user = await User.findById(req.user.id).select("isAdmin");
+  } catch (err) {
+    return res.status(500).json({ msg: "Server error" });
+  }
+
+  if (!user || !user.isAdmin) {
+    return res.status(403).json({ msg: "Admin access required" });
+  }
+  next();
+};
@@ -0,0 +1,22 @@
+const { verifyAccessToken } = require("../services/tokenService");
+
+// Socket.IO counterpart of middleware/auth.js: the token is sent in the
+// handshake (`auth: { token }`) or as the x-auth-token header
+module.exports = async function (socket, next) {
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || socket.handshake.headers["x-auth-token"];
+
+  if (!token) {
+    return next(new Error("No token, authorization denied"));
+  }
+
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
+  } catch (err) {
+    return next(new Error("Token is not valid"));
+  }
+
+  socket.user = decoded.user;
+  socket.sessionId = decoded.sid;
+  next();
+};
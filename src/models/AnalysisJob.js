@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A background analysis of one game. Analysed plies are stored on the Game
+// itself (`analysis`), so the job only tracks state and progress.
+const analysisJobSchema = new mongoose.Schema({
+    jobId: { type: String, required: true, unique: true },
+    gameId: { type: String, required: true, index: true },
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true }, // Who requested the analysis
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+        default: 'queued'
+    },
+    progress: {
+        current: { type: Number, default: 0 }, // Plies analysed so far
+        total: { type: Number, default: 0 } // Plies in the game
+    },
+    error: { type: String, default: null }, // Failure reason when status is 'failed'
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Middleware to update `updatedAt` on save
+analysisJobSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { ENGINE_SETTING_RANGES } = require('../config/stockfishConfig');
+
+const range = (name) => ({ min: ENGINE_SETTING_RANGES[name].min, max: ENGINE_SETTING_RANGES[name].max });
+
+// What the engine plays with; also snapshotted on every computer game
+const engineSettingsSchema = new mongoose.Schema({
+    skillLevel: { type: Number, required: true, ...range('skillLevel') }, // Stockfish Skill Level
+    elo: { type: Number, required: true, ...range('elo') }, // UCI_Elo; also the engine's rating in rated games
+    contempt: { type: Number, required: true, ...range('contempt') }, // Negative values accept draws more readily
+    depth: { type: Number, required: true, ...range('depth') },
+    movetime: { type: Number, required: true, ...range('movetime') }, // ms
+    errorRate: { type: Number, default: 0, ...range('errorRate') } // Share of moves where a weaker candidate is played on purpose
+}, { _id: false });
+
+// A named engine personality, e.g. "Aggressive 1500"
+const engineProfileSchema = new mongoose.Schema({
+    profileId: { type: String, required: true, unique: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: '' },
+    ownerId: { type: Schema.Types.ObjectId, ref: 'User', default: null }, // null for global profiles, managed by admins
+    settings: { type: engineSettingsSchema, required: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Names are unique among the global profiles and among each user's own
+engineProfileSchema.index({ ownerId: 1, name: 1 }, { unique: true });
+
+engineProfileSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+const EngineProfile = mongoose.model('EngineProfile', engineProfileSchema);
+EngineProfile.engineSettingsSchema = engineSettingsSchema;
+
+module.exports = EngineProfile;
@@ -1,21 +1,114 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { VISIBILITIES } = require('../config/broadcastConfig');
+const { engineSettingsSchema } = require('./EngineProfile');
+
+const candidateMoveSchema = new mongoose.Schema({
+    move: { type: String, required: true }, // UCI, e.g. "g1f3"
+    san: { type: String }, // e.g. "Nf3"
+    evaluation: {
+        type: { type: String, enum: ['cp', 'mate'], required: true },
+        value: { type: Number, required: true }
+    },
+    depth: { type: Number, default: 0 },
+    principalVariation: { type: String, default: '' } // SAN moves, e.g. "Nf3 Nc6 Bb5"
+}, { _id: false });
 
 const analysisEntrySchema = new mongoose.Schema({
     moveNumber: { type: Number, required: true },
-    move: { type: String, required: true }, // The player's move (e.g., "e2e4")
+    color: { type: String, enum: ['white', 'black'] }, // Side that played the move
+    move: { type: String, required: true }, // The player's move in UCI (e.g., "e2e4")
+    san: { type: String }, // The same move in SAN (e.g., "e4")
     fen: { type: String, required: true },  // FEN after the player's move
     evaluation: { // Stockfish evaluation
         type: { type: String, enum: ['cp', 'mate'], required: true }, // centipawn or mate
         value: { type: Number, required: true } // centipawn value or moves to mate
     },
+    evaluationAfter: { // Evaluation after the move, from the opponent's point of view
+        type: { type: String, enum: ['cp', 'mate'] },
+        value: { type: Number }
+    },
     bestMove: { type: String, required: true }, // Stockfish's suggested best move
     principalVariation: { type: String, default: '' }, // PV from Stockfish
+    candidates: [candidateMoveSchema], // Top engine moves in the position before the move, best first
+    classification: { // From the mover's drop in winning chances
+        type: String,
+        enum: ['best', 'excellent', 'good', 'inaccuracy', 'mistake', 'blunder', 'missedWin']
+    },
+    isOnlyMove: { type: Boolean, default: false }, // The best move, and every alternative was far worse
+    accuracy: { type: Number }, // 0-100
     isMistake: { type: Boolean, default: false },
     isBlunder: { type: Boolean, default: false },
+    centipawnLoss: { type: Number, default: null }, // Evaluation lost by the move, for every ply (engine moves included)
+    hintLevel: { type: Number, default: 0 }, // Most detailed hint the player asked for before this move (0 for none)
     comment: { type: String } // e.g., "Mistake: Missed a tactical opportunity."
 }, { _id: false }); 
 
+// Per-side figures and evaluation graph of a fully analysed game
+const analysisSummarySchema = new mongoose.Schema({
+    accuracy: { white: Number, black: Number }, // 0-100, average of move accuracies
+    averageCentipawnLoss: { white: Number, black: Number },
+    evalGraph: [{ // One point per position, from White's point of view
+        _id: false,
+        ply: Number,
+        cp: Number, // Clamped to +/- 1000
+        mate: Number, // Moves to mate (negative when Black mates), null otherwise
+        winChance: Number // White's winning chances, 0-100
+    }]
+}, { _id: false });
+
+const hintSchema = new mongoose.Schema({
+    ply: { type: Number, required: true }, // Plies played when the hint was asked for
+    level: { type: Number, min: 1, max: 3, required: true }, // 1: piece, 2: target square, 3: full move and PV
+    bestMove: { type: String, required: true }, // Engine move (UCI) behind the hint
+    principalVariation: { type: String, default: '' }
+}, { _id: false });
+
+const timeControlSchema = new mongoose.Schema({
+    label: { type: String, required: true }, // e.g. '3+2' (minutes+seconds)
+    initialMs: { type: Number, required: true }, // Starting time per side
+    incrementMs: { type: Number, default: 0 }, // Per-move increment or delay
+    mode: { type: String, enum: ['fischer', 'bronstein'], default: 'fischer' }
+}, { _id: false });
+
+const clockSchema = new mongoose.Schema({
+    white: { type: Number, required: true }, // ms White had left at `lastMoveAt`
+    black: { type: Number, required: true }, // ms Black had left at `lastMoveAt`
+    running: { type: String, enum: ['white', 'black', null], default: null }, // Side whose clock is ticking
+    lastMoveAt: { type: Date, default: null }
+}, { _id: false });
+
+const drawOfferSchema = new mongoose.Schema({
+    by: { type: String, enum: ['white', 'black'], required: true }, // Side that offered the draw
+    ply: { type: Number, required: true }, // Number of moves played when the offer was made
+    status: { type: String, enum: ['pending', 'declined'], default: 'pending' }
+}, { _id: false });
+
+// The engine a computer game is played against, copied when the game starts so
+// later edits to (or deletion of) its profile do not change the record
+const engineSnapshotSchema = new mongoose.Schema({
+    profileId: { type: String, default: null }, // null for the fixed difficulty levels
+    name: { type: String, required: true }, // e.g. "Level 5" or the profile's name
+    private: { type: Boolean, default: false }, // A user's own profile rather than a level or global profile
+    settings: { type: engineSettingsSchema, required: true }
+}, { _id: false });
+
+// Strength of an adaptive game: where it started and how it moved during the game
+const adaptiveSchema = new mongoose.Schema({
+    startElo: { type: Number, required: true }, // The user's adaptive Elo when the game started
+    elo: { type: Number, required: true }, // Effective engine Elo, after any in-game adjustments
+    inGame: { type: Boolean, default: false }, // Whether the strength follows the running evaluation
+    adjustments: [{
+        _id: false,
+        ply: { type: Number, required: true }, // Plies played when the engine's strength changed
+        elo: { type: Number, required: true },
+        evaluation: { // The engine's evaluation that triggered it, from its own side
+            type: { type: String, enum: ['cp', 'mate'] },
+            value: { type: Number }
+        }
+    }]
+}, { _id: false });
+
 const gameSchema = new mongoose.Schema({
     userId: { 
         type: Schema.Types.ObjectId, // Standard reference type for MongoDB IDs
@@ -24,25 +117,68 @@ const gameSchema = new mongoose.Schema({
     },
 
     gameId: { type: String, required: true, unique: true }, // Unique ID for each game session
+    mode: { type: String, enum: ['computer', 'human', 'imported'], default: 'computer' }, // vs. AI, vs. another user, or from a PGN
     players: {
-        white: { type: String, default: 'Player 1' }, // Could be a user ID or 'Human'
-        black: { type: String, default: 'Computer' } // Could be 'Computer' or 'Human'
+        white: { type: String, default: 'Player 1' }, // Username, or 'Human'/'Computer' in computer games
+        black: { type: String, default: 'Computer' } // null while a challenge is waiting for an opponent
     },
-    difficulty: { type: Number, min: 1, max: 10, default: null }, // Difficulty level if vs. computer
+    playerIds: { // Authenticated user seated on each side (null for the computer or an open seat)
+        white: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+        black: { type: Schema.Types.ObjectId, ref: 'User', default: null }
+    },
+    humanColor: { type: String, enum: ['white', 'black', null], default: null }, // Human side in computer games
+    timeControl: { type: timeControlSchema, default: null }, // null for untimed games
+    clock: { type: clockSchema, default: null }, // Server-authoritative clock state
+    clockHistory: [{ type: Number }], // Mover's remaining ms after each move, parallel to `moves`
+    difficulty: { type: Number, min: 1, max: 10, default: null }, // Difficulty level if vs. computer (null when played against a profile)
+    engine: { type: engineSnapshotSchema, default: null }, // Engine opponent in computer games; null in games from before profiles
+    adaptive: { type: adaptiveSchema, default: null }, // Set in adaptive games, whose engine settings are those at the start
+    rated: { type: Boolean, default: false }, // Whether the result changes the player's rating
+    visibility: { type: String, enum: VISIBILITIES, default: 'private' }, // Who may watch (see config/broadcastConfig)
+    broadcastDelay: { type: Number, min: 0, default: 0 }, // Plies spectators are kept behind the live position
     pgn: { type: String, default: '' }, // Portable Game Notation
+    pgnHeaders: { type: Map, of: String, default: undefined }, // Event/Site/Date/Round kept from an imported PGN
+    startFen: { type: String, default: null }, // Custom starting position; null for the standard one
     fen: { type: String, default: 'rnbqkbnr/pppppppp/8/8/8/8/PPPP1PPP/RNBQKBNR w KQkq - 0 1' }, // Current FEN
     moves: [{ type: String }], // Array of UCI moves played
+    eco: { type: String, default: null }, // ECO code of the deepest named opening line reached, e.g. "C50"
+    openingName: { type: String, default: null }, // e.g. "Italian Game: Giuoco Piano"
     status: {
         type: String,
         enum: ['waiting', 'playing', 'finished', 'analyzing'],
         default: 'playing' // Default to playing if against AI, waiting if multiplayer
     },
     result: { type: String, enum: ['1-0', '0-1', '1/2-1/2', '*'], default: '*' }, // Game result
+    termination: { // How the game ended (null while it is in progress)
+        type: String,
+        enum: ['checkmate', 'resignation', 'agreement', 'repetition', 'fiftyMoveRule', 'stalemate',
+            'insufficientMaterial', 'timeout', 'abandonment', null],
+        default: null
+    },
+    drawOffer: { type: drawOfferSchema, default: null }, // Latest draw offer in the current position
+    takebacks: { // Takebacks in computer games
+        limit: { type: Number, min: 0, default: null }, // Takebacks allowed; null for unlimited
+        used: { type: Number, default: 0 } // Takebacks made so far; > 0 marks an assisted game
+    },
+    hints: { // Hints in computer games; each position hinted counts once, whatever the level
+        limit: { type: Number, min: 0, default: null }, // Positions that may be hinted; null for unlimited
+        used: { type: Number, default: 0 },
+        positions: [hintSchema]
+    },
     analysis: [analysisEntrySchema], // Array of analysis entries
+    analysisSummary: { type: analysisSummarySchema, default: null },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
 
+// Game history: one index per way a user can be part of a game and sort order (see gameService.getGameHistory)
+gameSchema.index({ userId: 1, status: 1, updatedAt: -1 });
+gameSchema.index({ 'playerIds.white': 1, status: 1, updatedAt: -1 });
+gameSchema.index({ 'playerIds.black': 1, status: 1, updatedAt: -1 });
+gameSchema.index({ userId: 1, status: 1, createdAt: -1 });
+gameSchema.index({ 'playerIds.white': 1, status: 1, createdAt: -1 });
+gameSchema.index({ 'playerIds.black': 1, status: 1, createdAt: -1 });
+
 // Middleware to update `updatedAt` on save
 gameSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
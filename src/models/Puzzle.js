@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { DEFAULT_RATING, DEFAULT_RD, DEFAULT_VOLATILITY } = require('../config/ratingConfig');
+
+// A tactics puzzle taken from one of the owner's analysed games
+const puzzleSchema = new mongoose.Schema({
+    puzzleId: { type: String, required: true, unique: true },
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true }, // Whose training set it belongs to
+    gameId: { type: String, required: true },
+    ply: { type: Number, required: true }, // Plies played in the game before the puzzle position
+    source: { type: String, enum: ['blunder', 'forcingLine'], required: true }, // The owner's blunder, or a forced mate found by the engine
+    fen: { type: String, required: true }, // Puzzle position; the solver is the side to move
+    solution: [{ type: String }], // UCI moves, alternating solver and opponent, ending with a solver move
+    evaluation: { // Engine evaluation of the puzzle position, for the side to move
+        type: { type: String, enum: ['cp', 'mate'] },
+        value: { type: Number }
+    },
+    rating: { // Glicko-2 difficulty, updated with every attempt
+        rating: { type: Number, default: DEFAULT_RATING },
+        rd: { type: Number, default: DEFAULT_RD },
+        volatility: { type: Number, default: DEFAULT_VOLATILITY }
+    },
+    review: { // Spaced-repetition schedule
+        dueAt: { type: Date, default: Date.now },
+        intervalDays: { type: Number, default: 0 },
+        ease: { type: Number, default: 2.5 },
+        repetitions: { type: Number, default: 0 }, // Solves in a row
+        lastAttemptAt: { type: Date, default: null }
+    },
+    attempt: { // The attempt in progress, if any
+        progress: { type: Number, default: 0 }, // Index of the next solver move in `solution`
+        startedAt: { type: Date, default: null }
+    },
+    stats: {
+        attempts: { type: Number, default: 0 },
+        solved: { type: Number, default: 0 }
+    },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// One puzzle per position of a game and owner
+puzzleSchema.index({ userId: 1, gameId: 1, ply: 1 }, { unique: true });
+puzzleSchema.index({ userId: 1, 'review.dueAt': 1 });
+
+// Middleware to update `updatedAt` on save
+puzzleSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('Puzzle', puzzleSchema);
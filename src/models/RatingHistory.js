@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { RATING_CATEGORIES } = require('../config/ratingConfig');
+
+// One rating change of a user, recorded when a rated game finishes
+const ratingHistorySchema = new mongoose.Schema({
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    gameId: { type: String, required: true },
+    category: { type: String, enum: RATING_CATEGORIES, required: true },
+    ratingBefore: { type: Number, required: true },
+    rating: { type: Number, required: true }, // Rating after the game
+    rd: { type: Number, required: true },
+    volatility: { type: Number, required: true },
+    opponent: {
+        type: { type: String, enum: ['engine'], default: 'engine' },
+        level: { type: Number, default: null }, // Engine difficulty level
+        profileId: { type: String, default: null }, // Engine profile, when played against one instead of a level
+        rating: { type: Number, required: true }
+    },
+    score: { type: Number, enum: [0, 0.5, 1], required: true }, // The user's result
+    createdAt: { type: Date, default: Date.now }
+});
+
+// A game changes each player's rating once
+ratingHistorySchema.index({ userId: 1, gameId: 1 }, { unique: true });
+ratingHistorySchema.index({ userId: 1, category: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RatingHistory', ratingHistorySchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// A login session, kept alive by a rotating refresh token. Access tokens name
+// their session, so revoking it invalidates them too.
+const sessionSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  refreshTokenHash: { type: String, required: true }, // SHA-256 of the current refresh token
+  previousTokenHash: { type: String, default: null }, // The token it replaced; presenting it again means it leaked
+  userAgent: { type: String, default: null },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// MongoDB removes sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One change of a user's adaptive engine strength, recorded when an adaptive game finishes
+const strengthAdjustmentSchema = new mongoose.Schema({
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    gameId: { type: String, required: true },
+    eloBefore: { type: Number, required: true },
+    elo: { type: Number, required: true }, // Adaptive Elo for the next game
+    gameElo: { type: Number, required: true }, // Effective engine Elo at the end of the game
+    score: { type: Number, enum: [0, 0.5, 1], required: true }, // The user's result
+    createdAt: { type: Date, default: Date.now }
+});
+
+// A game adjusts the strength once
+strengthAdjustmentSchema.index({ userId: 1, gameId: 1 }, { unique: true });
+strengthAdjustmentSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StrengthAdjustment', strengthAdjustmentSchema);
@@ -1,5 +1,23 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const {
+  RATING_CATEGORIES,
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  DEFAULT_VOLATILITY,
+} = require("../config/ratingConfig");
+
+// Glicko-2 rating in one time control category
+const ratingSchema = new mongoose.Schema(
+  {
+    rating: { type: Number, default: DEFAULT_RATING },
+    rd: { type: Number, default: DEFAULT_RD }, // Rating deviation
+    volatility: { type: Number, default: DEFAULT_VOLATILITY },
+    games: { type: Number, default: 0 }, // Rated games played in this category
+    lastGameAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -11,6 +29,17 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  ratings: RATING_CATEGORIES.reduce((ratings, category) => {
+    ratings[category] = { type: ratingSchema, default: () => ({}) };
+    return ratings;
+  }, {}),
+  puzzleRating: { type: ratingSchema, default: () => ({}) }, // Tactics trainer, kept apart from game ratings
+  adaptiveStrength: {
+    // Engine Elo of the user's adaptive games, tuned after each one towards a 50% score
+    elo: { type: Number, default: null }, // null until the first adaptive game, which starts from the user's rating
+    games: { type: Number, default: 0 },
+  },
+  isAdmin: { type: Boolean, default: false }, // Set directly in the database; admins manage global engine profiles
 });
 
 // Hash password before saving the user
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const engineProfileService = require('../services/engineProfileService');
+const logger = require('../utils/logger');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+
+const errorStatus = (error) => (error.message === 'Engine profile not found.' ? 404 : 400);
+
+// Every admin route needs an authenticated administrator
+router.use(auth, requireAdmin);
+
+// GET /api/admin/engine-profiles - Global engine profiles
+router.get('/engine-profiles', async (req, res) => {
+    try {
+        const profiles = await engineProfileService.listProfiles(null);
+        res.json(profiles);
+    } catch (error) {
+        logger.error(`Error listing global engine profiles: ${error.message}`);
+        res.status(500).json({ message: 'Failed to retrieve engine profiles', error: error.message });
+    }
+});
+
+// POST /api/admin/engine-profiles - Create a global profile ({ name, description, settings })
+router.post('/engine-profiles', async (req, res) => {
+    try {
+        const profile = await engineProfileService.createProfile(req.body || {}, null);
+        logger.info(`Admin ${req.user.id} created global engine profile ${profile.profileId}.`);
+        res.status(201).json(profile);
+    } catch (error) {
+        logger.error(`Error creating global engine profile: ${error.message}`);
+        res.status(errorStatus(error)).json({ message: 'Failed to create engine profile', error: error.message });
+    }
+});
+
+// PATCH /api/admin/engine-profiles/:profileId - Update a global profile
+router.patch('/engine-profiles/:profileId', async (req, res) => {
+    try {
+        const profile = await engineProfileService.updateProfile(req.params.profileId, req.body || {}, null);
+        logger.info(`Admin ${req.user.id} updated global engine profile ${profile.profileId}.`);
+        res.json(profile);
+    } catch (error) {
+        logger.error(`Error updating global engine profile ${req.params.profileId}: ${error.message}`);
+        res.status(errorStatus(error)).json({ message: 'Failed to update engine profile', error: error.message });
+    }
+});
+
+// DELETE /api/admin/engine-profiles/:profileId - Delete a global profile; games played against it keep their snapshot
+router.delete('/engine-profiles/:profileId', async (req, res) => {
+    try {
+        await engineProfileService.deleteProfile(req.params.profileId, null);
+        logger.info(`Admin ${req.user.id} deleted global engine profile ${req.params.profileId}.`);
+        res.json({ message: 'Engine profile deleted' });
+    } catch (error) {
+        logger.error(`Error deleting global engine profile ${req.params.profileId}: ${error.message}`);
+        res.status(errorStatus(error)).json({ message: 'Failed to delete engine profile', error: error.message });
+    }
+});
+
+module.exports = router;
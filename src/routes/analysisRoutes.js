@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const stockfishService = require('../services/stockfishService');
+const logger = require('../utils/logger');
+const auth = require('../middleware/auth');
+const { loadPosition } = require('../utils/chessRules');
+
+const DEFAULT_MULTIPV = 3;
+const MAX_MULTIPV = 5; // Each extra line slows the search down
+
+// POST /api/analysis/position - Analyse any position and return its top candidate moves
+router.post('/position', auth, async (req, res) => {
+    try {
+        const { fen, multiPv = DEFAULT_MULTIPV } = req.body;
+
+        if (!fen) {
+            return res.status(400).json({ message: 'fen is required.' });
+        }
+        if (!Number.isInteger(multiPv) || multiPv < 1 || multiPv > MAX_MULTIPV) {
+            return res.status(400).json({ message: `multiPv must be an integer between 1 and ${MAX_MULTIPV}.` });
+        }
+
+        let normalizedFen;
+        try {
+            normalizedFen = loadPosition(fen).fen();
+        } catch (validationError) {
+            return res.status(400).json({ message: validationError.message });
+        }
+
+        const { evaluation, bestMove, candidates } = await stockfishService.analyzePosition(normalizedFen, { multiPv });
+        res.json({
+            fen: normalizedFen,
+            evaluation,
+            bestMove,
+            candidates
+        });
+    } catch (error) {
+        logger.error(`Error analysing position: ${error.message}`);
+        res.status(500).json({ message: 'Failed to analyse position', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -22,6 +22,16 @@ router.post(
   authController.loginUser
 );
 
+router.post(
+  "/refresh",
+  [check("refreshToken", "Refresh token is required").isString().not().isEmpty()],
+  authController.refreshToken
+);
+
+router.post("/logout", auth, authController.logout);
+
+router.post("/logout-all", auth, authController.logoutAll);
+
 router.get("/", auth, authController.getUser);
 
 module.exports = router;
\ No newline at end of file
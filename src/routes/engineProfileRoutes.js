@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const engineProfileService = require('../services/engineProfileService');
+const logger = require('../utils/logger');
+const auth = require('../middleware/auth');
+
+const errorStatus = (error) => (error.message === 'Engine profile not found.' ? 404 : 400);
+
+// GET /api/engine-profiles - Global profiles and the user's own
+router.get('/', auth, async (req, res) => {
+    try {
+        const profiles = await engineProfileService.listProfiles(req.user.id);
+        res.json(profiles);
+    } catch (error) {
+        logger.error(`Error listing engine profiles for user ${req.user.id}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to retrieve engine profiles', error: error.message });
+    }
+});
+
+// GET /api/engine-profiles/:profileId - One global profile or one of the user's own
+router.get('/:profileId', auth, async (req, res) => {
+    try {
+        const profile = await engineProfileService.getProfile(req.params.profileId, req.user.id);
+        res.json(profile);
+    } catch (error) {
+        logger.error(`Error fetching engine profile ${req.params.profileId}: ${error.message}`);
+        res.status(errorStatus(error)).json({ message: 'Failed to retrieve engine profile', error: error.message });
+    }
+});
+
+// POST /api/engine-profiles - Create a private profile ({ name, description, settings })
+router.post('/', auth, async (req, res) => {
+    try {
+        const profile = await engineProfileService.createProfile(req.body || {}, req.user.id);
+        res.status(201).json(profile);
+    } catch (error) {
+        logger.error(`Error creating engine profile for user ${req.user.id}: ${error.message}`);
+        res.status(errorStatus(error)).json({ message: 'Failed to create engine profile', error: error.message });
+    }
+});
+
+// PATCH /api/engine-profiles/:profileId - Update one of the user's profiles
+router.patch('/:profileId', auth, async (req, res) => {
+    try {
+        const profile = await engineProfileService.updateProfile(req.params.profileId, req.body || {}, req.user.id);
+        res.json(profile);
+    } catch (error) {
+        logger.error(`Error updating engine profile ${req.params.profileId}: ${error.message}`);
+        res.status(errorStatus(error)).json({ message: 'Failed to update engine profile', error: error.message });
+    }
+});
+
+// DELETE /api/engine-profiles/:profileId - Delete one of the user's profiles
+router.delete('/:profileId', auth, async (req, res) => {
+    try {
+        await engineProfileService.deleteProfile(req.params.profileId, req.user.id);
+        res.json({ message: 'Engine profile deleted' });
+    } catch (error) {
+        logger.error(`Error deleting engine profile ${req.params.profileId}: ${error.message}`);
+        res.status(errorStatus(error)).json({ message: 'Failed to delete engine profile', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,33 +1,143 @@
 const express = require('express');
 const router = express.Router();
 const gameService = require('../services/gameService');
+const matchmakingService = require('../services/matchmakingService');
+const analysisJobService = require('../services/analysisJobService');
+const engineProfileService = require('../services/engineProfileService');
+const adaptiveService = require('../services/adaptiveService');
+const pgnService = require('../services/pgnService');
 const logger = require('../utils/logger');
 const auth = require('../middleware/auth');
+const { parseTimeControl } = require('../config/timeControlConfig');
+const { parseBroadcastOptions } = require('../config/broadcastConfig');
+const { loadStartPosition } = require('../utils/chessRules');
+const { toSanMoves } = require('../utils/moveParser');
+const { parseHistoryQuery } = require('../utils/historyQuery');
 
 // POST /api/games/new - Create a new game
 router.post('/new', auth, async (req, res) => {
     try {
         const userId = req.user.id; // <-- GET userId from authenticated user
-        const { difficulty, playerColor } = req.body; // playerColor: 'white' or 'black'
+        const { difficulty, profileId, adaptive, adaptiveInGame = false, playerColor, timeControl, clockMode, startFen, takebackLimit, hintLimit } = req.body;
 
-        if (!difficulty || !playerColor) {
-            return res.status(400).json({ message: 'Difficulty and playerColor are required.' });
+        // The engine is a difficulty level, an engine profile, or adaptive (tuned to the player)
+        const engineChoices = [difficulty, profileId, adaptive].filter(Boolean).length;
+        if (engineChoices === 0 || !playerColor) {
+            return res.status(400).json({ message: 'Difficulty (or profileId, or adaptive) and playerColor are required.' });
         }
-        if (difficulty < 1 || difficulty > 10) {
+        if (engineChoices > 1) {
+            return res.status(400).json({ message: 'Give only one of difficulty, profileId and adaptive.' });
+        }
+        if (adaptive !== undefined && typeof adaptive !== 'boolean') {
+            return res.status(400).json({ message: 'adaptive must be a boolean.' });
+        }
+        if (typeof adaptiveInGame !== 'boolean' || (adaptiveInGame && !adaptive)) {
+            return res.status(400).json({ message: 'adaptiveInGame must be a boolean, and only applies to adaptive games.' });
+        }
+        if (difficulty && (difficulty < 1 || difficulty > 10)) {
             return res.status(400).json({ message: 'Difficulty must be between 1 and 10.' });
         }
+        if (profileId && typeof profileId !== 'string') {
+            return res.status(400).json({ message: 'profileId must be a string.' });
+        }
         if (!['white', 'black'].includes(playerColor)) {
             return res.status(400).json({ message: 'playerColor must be "white" or "black".' });
         }
 
+        let parsedTimeControl;
+        try {
+            parsedTimeControl = parseTimeControl(timeControl, clockMode);
+        } catch (validationError) {
+            return res.status(400).json({ message: validationError.message });
+        }
+
+        let gameEngine;
+        try {
+            gameEngine = adaptive
+                ? await adaptiveService.resolveAdaptiveEngine(userId, { timeControl: parsedTimeControl, inGame: adaptiveInGame })
+                : await engineProfileService.resolveGameEngine(userId, {
+                    difficulty: difficulty ? parseInt(difficulty) : null,
+                    profileId
+                });
+        } catch (lookupError) {
+            return res.status(404).json({ message: lookupError.message });
+        }
+
+        // Games are casual unless the player asks for a rated one, which allows no takebacks or hints.
+        // Games from a custom position, against the user's own profile (whose Elo setting they chose)
+        // or against an engine whose strength changes during the game cannot be rated.
+        const rated = req.body.rated === undefined ? false : req.body.rated;
+
+        // Omitted or null means unlimited takebacks
+        if (takebackLimit !== undefined && takebackLimit !== null &&
+            (!Number.isInteger(takebackLimit) || takebackLimit < 0)) {
+            return res.status(400).json({ message: 'takebackLimit must be a non-negative integer or null for unlimited.' });
+        }
+        if (hintLimit !== undefined && hintLimit !== null && (!Number.isInteger(hintLimit) || hintLimit < 0)) {
+            return res.status(400).json({ message: 'hintLimit must be a non-negative integer or null for unlimited.' });
+        }
+
+        if (typeof rated !== 'boolean') {
+            return res.status(400).json({ message: 'rated must be a boolean.' });
+        }
+        if (rated && startFen) {
+            return res.status(400).json({ message: 'Games from a custom starting position cannot be rated.' });
+        }
+        if (rated && gameEngine.engine.private) {
+            return res.status(400).json({ message: 'Games against your own engine profiles cannot be rated.' });
+        }
+        if (rated && adaptiveInGame) {
+            return res.status(400).json({ message: 'Games whose engine strength changes during play cannot be rated.' });
+        }
+        // Rated games allow no assistance; a budget that was asked for explicitly is a conflict
+        if (rated && ((takebackLimit !== undefined && takebackLimit !== 0) || (hintLimit !== undefined && hintLimit !== 0))) {
+            return res.status(400).json({ message: 'Rated games allow no takebacks or hints. Set rated to false to use them.' });
+        }
+
+        let broadcast;
+        try {
+            broadcast = parseBroadcastOptions(req.body, 'private');
+        } catch (validationError) {
+            return res.status(400).json({ message: validationError.message });
+        }
+
+        let parsedStartFen = null;
+        if (startFen) {
+            try {
+                parsedStartFen = loadStartPosition(startFen).fen();
+            } catch (validationError) {
+                return res.status(400).json({ message: validationError.message });
+            }
+        }
+
         // Pass userId to the service layer
-        const { game, aiMove } = await gameService.createGame(userId, parseInt(difficulty), playerColor); 
+        const { game, aiMove } = await gameService.createGame(userId, gameEngine.difficulty, playerColor, {
+            engine: gameEngine.engine,
+            adaptive: gameEngine.adaptive || null,
+            rated,
+            timeControl: parsedTimeControl,
+            startFen: parsedStartFen,
+            takebackLimit: takebackLimit === undefined ? null : takebackLimit,
+            hintLimit, // Omitted falls back to the default budget
+            ...broadcast
+        });
         
         res.status(201).json({
             message: 'Game created successfully',
             gameId: game.gameId,
+            startFen: game.startFen,
             initialFen: game.fen,
             playerColor: playerColor,
+            difficulty: game.difficulty,
+            engine: game.engine,
+            adaptive: game.adaptive,
+            rated: game.rated,
+            timeControl: game.timeControl,
+            clock: game.clock,
+            takebacks: game.takebacks,
+            hints: { limit: game.hints.limit, used: game.hints.used },
+            visibility: game.visibility,
+            broadcastDelay: game.broadcastDelay,
             aiMove: aiMove // If AI played first
         });
     } catch (error) {
@@ -36,26 +146,160 @@ router.post('/new', auth, async (req, res) => {
     }
 });
 
+// POST /api/games/import - Import one or many PGN games as finished games
+// Accepts JSON ({ pgn: "..." } or { pgn: ["...", "..."] }) or a raw PGN body
+router.post('/import', auth, express.text({ type: ['text/plain', 'application/x-chess-pgn'], limit: '2mb' }), async (req, res) => {
+    try {
+        const pgnInput = typeof req.body === 'string' ? req.body : req.body.pgn;
+        if (!pgnInput || (Array.isArray(pgnInput) && pgnInput.length === 0)) {
+            return res.status(400).json({ message: 'PGN is required.' });
+        }
+
+        const { imported, errors } = await pgnService.importPgn(req.user.id, pgnInput);
+        res.status(imported.length > 0 ? 201 : 400).json({
+            message: `Imported ${imported.length} game(s)`,
+            imported,
+            errors
+        });
+    } catch (error) {
+        logger.error(`Error importing PGN for user ${req.user.id}: ${error.message}`);
+        res.status(400).json({ message: 'Failed to import PGN', error: error.message });
+    }
+});
+
+// POST /api/games/challenge - Create a human-vs-human game that waits for an opponent
+router.post('/challenge', auth, async (req, res) => {
+    try {
+        const { color = 'random', timeControl = null, clockMode } = req.body;
+
+        if (!['white', 'black', 'random'].includes(color)) {
+            return res.status(400).json({ message: 'color must be "white", "black" or "random".' });
+        }
+
+        let parsedTimeControl;
+        try {
+            parsedTimeControl = parseTimeControl(timeControl, clockMode);
+        } catch (validationError) {
+            return res.status(400).json({ message: validationError.message });
+        }
+
+        let broadcast;
+        try {
+            broadcast = parseBroadcastOptions(req.body, 'public');
+        } catch (validationError) {
+            return res.status(400).json({ message: validationError.message });
+        }
+
+        const { game, color: playerColor } = await gameService.createChallenge(req.user.id, {
+            color,
+            timeControl: parsedTimeControl,
+            ...broadcast
+        });
+        res.status(201).json({
+            message: 'Challenge created, waiting for an opponent',
+            gameId: game.gameId,
+            status: game.status,
+            playerColor,
+            timeControl: game.timeControl,
+            visibility: game.visibility,
+            broadcastDelay: game.broadcastDelay
+        });
+    } catch (error) {
+        logger.error(`Error creating challenge: ${error.message}`);
+        res.status(500).json({ message: 'Failed to create challenge', error: error.message });
+    }
+});
+
+// POST /api/games/seek - Enter the matchmaking queue
+router.post('/seek', auth, async (req, res) => {
+    try {
+        const { timeControl, clockMode, color = 'random', minRating = null, maxRating = null } = req.body;
+
+        if (!timeControl) {
+            return res.status(400).json({ message: 'timeControl is required.' });
+        }
+
+        let parsedTimeControl;
+        try {
+            parsedTimeControl = parseTimeControl(timeControl, clockMode);
+        } catch (validationError) {
+            return res.status(400).json({ message: validationError.message });
+        }
+        if (!['white', 'black', 'random'].includes(color)) {
+            return res.status(400).json({ message: 'color must be "white", "black" or "random".' });
+        }
+        if ((minRating !== null && isNaN(minRating)) || (maxRating !== null && isNaN(maxRating))) {
+            return res.status(400).json({ message: 'minRating and maxRating must be numbers.' });
+        }
+
+        const seek = await matchmakingService.createSeek(req.user.id, {
+            timeControl: parsedTimeControl,
+            color,
+            minRating: minRating === null ? null : Number(minRating),
+            maxRating: maxRating === null ? null : Number(maxRating)
+        });
+
+        if (seek.status === 'matched') {
+            return res.status(201).json({ message: 'Opponent found', ...seek });
+        }
+        res.status(202).json({ message: 'Waiting for an opponent', ...seek });
+    } catch (error) {
+        logger.error(`Error creating seek for user ${req.user.id}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to create seek', error: error.message });
+    }
+});
+
+// DELETE /api/games/seek - Leave the matchmaking queue
+router.delete('/seek', auth, async (req, res) => {
+    const cancelled = matchmakingService.cancelSeek(req.user.id);
+    if (!cancelled) {
+        return res.status(404).json({ message: 'No active seek found.' });
+    }
+    res.json({ message: 'Seek cancelled' });
+});
+
+// POST /api/games/:gameId/join - Take the open seat in a waiting challenge
+router.post('/:gameId/join', auth, async (req, res) => {
+    try {
+        const { gameId } = req.params;
+        const { game, color } = await gameService.joinGame(gameId, req.user.id);
+        res.json({
+            message: 'Joined game successfully',
+            gameId: game.gameId,
+            fen: game.fen,
+            players: game.players,
+            playerColor: color,
+            status: game.status
+        });
+    } catch (error) {
+        logger.error(`Error joining game ${req.params.gameId}: ${error.message}`);
+        res.status(400).json({ message: 'Failed to join game', error: error.message });
+    }
+});
+
 // POST /api/games/:gameId/move - Make a move
 router.post('/:gameId/move', auth, async (req, res) => {
     try {
         const { gameId } = req.params;
-        const { move } = req.body; // Move in UCI format (e.g., 'e2e4')
+        const { move } = req.body; // UCI ('e2e4', 'e7e8q'), SAN ('Nf3') or { from, to, promotion }
 
         if (!move) {
             return res.status(400).json({ message: 'Move is required.' });
         }
 
-        const { game, aiMove, status } = await gameService.makeMove(gameId, move);
+        const { game, lastMove, aiMove, status } = await gameService.makeMove(gameId, move, req.user.id);
         res.json({
             message: 'Move successful',
             gameId: game.gameId,
             fen: game.fen,
             pgn: game.pgn,
-            moves: game.moves,
+            moves: game.moves, // UCI
+            sanMoves: toSanMoves(game.startFen, game.moves),
             status: status,
             result: game.result,
-            aiMove: aiMove // AI's counter-move if applicable
+            termination: game.termination,
+            lastMove, // { uci, san } of the move just played
+            aiMove: aiMove // AI's counter-move if applicable, as { uci, san }
         });
     } catch (error) {
         logger.error(`Error making move for game ${req.params.gameId}: ${error.message}`);
@@ -63,10 +307,17 @@ router.post('/:gameId/move', auth, async (req, res) => {
     }
 });
 
+// GET /api/games/history - A page of the user's finished games (filters and sorting: see utils/historyQuery)
 router.get('/history', auth, async (req, res) => {
     try {
         const userId = req.user.id; // Get userId from authenticated user
-        const history = await gameService.getGameHistory(userId);
+        let options;
+        try {
+            options = parseHistoryQuery(req.query);
+        } catch (validationError) {
+            return res.status(400).json({ message: validationError.message });
+        }
+        const history = await gameService.getGameHistory(userId, options);
         res.json(history);
     } catch (error) {
         logger.error(`Error fetching game history for user ${req.user.id}: ${error.message}`);
@@ -74,11 +325,26 @@ router.get('/history', auth, async (req, res) => {
     }
 });
 
+// GET /api/games/live - Public games being played, as spectators see them
+router.get('/live', auth, async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({ message: 'limit must be an integer between 1 and 100.' });
+        }
+        const games = await gameService.getLiveGames({ limit });
+        res.json(games);
+    } catch (error) {
+        logger.error(`Error fetching live games: ${error.message}`);
+        res.status(500).json({ message: 'Failed to fetch live games', error: error.message });
+    }
+});
+
 // GET /api/games/:gameId - Get game state
 router.get('/:gameId', auth, async (req, res) => {
     try {
         const { gameId } = req.params;
-        const game = await gameService.getGameById(gameId);
+        const game = await gameService.getGameForUser(gameId, req.user.id);
         res.json(game);
     } catch (error) {
         logger.error(`Error fetching game ${req.params.gameId}: ${error.message}`);
@@ -86,15 +352,40 @@ router.get('/:gameId', auth, async (req, res) => {
     }
 });
 
-// POST /api/games/:gameId/analyze - Analyze a completed game
+// GET /api/games/:gameId/pgn - Export the game as PGN
+router.get('/:gameId/pgn', auth, async (req, res) => {
+    try {
+        const { gameId } = req.params;
+        const pgn = await pgnService.exportPgn(gameId, req.user.id);
+        res.type('application/x-chess-pgn');
+        res.set('Content-Disposition', `attachment; filename="${gameId}.pgn"`);
+        res.send(pgn);
+    } catch (error) {
+        logger.error(`Error exporting PGN for game ${req.params.gameId}: ${error.message}`);
+        res.status(404).json({ message: 'Failed to export PGN', error: error.message });
+    }
+});
+
+// POST /api/games/:gameId/analyze - Queue a background analysis of a completed game
 router.post('/:gameId/analyze', auth, async (req, res) => {
     try {
         const { gameId } = req.params;
-        const game = await gameService.analyzeGame(gameId);
-        res.json({
-            message: 'Game analysis complete',
-            gameId: game.gameId,
-            analysis: game.analysis
+        const { job, created } = await analysisJobService.requestAnalysis(gameId, req.user.id);
+        if (!job) {
+            const game = await gameService.getGameById(gameId);
+            return res.json({
+                message: 'Game analysis complete',
+                gameId: game.gameId,
+                analysis: game.analysis,
+                summary: game.analysisSummary
+            });
+        }
+        res.status(202).json({
+            message: created ? 'Game analysis queued' : 'Game analysis already in progress',
+            gameId,
+            jobId: job.jobId,
+            status: job.status,
+            progress: job.progress
         });
     } catch (error) {
         logger.error(`Error analyzing game ${req.params.gameId}: ${error.message}`);
@@ -102,15 +393,158 @@ router.post('/:gameId/analyze', auth, async (req, res) => {
     }
 });
 
-// POST /api/games/:gameId/terminate - Terminate a game (e.g., user leaves)
+// GET /api/games/:gameId/analysis - Analysis status and the entries stored so far
+router.get('/:gameId/analysis', auth, async (req, res) => {
+    try {
+        const analysisStatus = await analysisJobService.getAnalysisStatus(req.params.gameId, req.user.id);
+        res.json(analysisStatus);
+    } catch (error) {
+        logger.error(`Error fetching analysis for game ${req.params.gameId}: ${error.message}`);
+        res.status(404).json({ message: 'Failed to fetch analysis', error: error.message });
+    }
+});
+
+// POST /api/games/:gameId/analysis/cancel - Cancel a queued or running analysis
+router.post('/:gameId/analysis/cancel', auth, async (req, res) => {
+    try {
+        const job = await analysisJobService.cancelAnalysis(req.params.gameId, req.user.id);
+        res.json({ message: 'Game analysis cancelled', ...job });
+    } catch (error) {
+        logger.error(`Error cancelling analysis for game ${req.params.gameId}: ${error.message}`);
+        res.status(400).json({ message: 'Failed to cancel analysis', error: error.message });
+    }
+});
+
+// POST /api/games/:gameId/resign - Resign the game
+router.post('/:gameId/resign', auth, async (req, res) => {
+    try {
+        const game = await gameService.resignGame(req.params.gameId, req.user.id);
+        res.json({
+            message: 'Game resigned',
+            gameId: game.gameId,
+            status: game.status,
+            result: game.result,
+            termination: game.termination
+        });
+    } catch (error) {
+        logger.error(`Error resigning game ${req.params.gameId}: ${error.message}`);
+        res.status(400).json({ message: 'Failed to resign game', error: error.message });
+    }
+});
+
+// POST /api/games/:gameId/offer-draw - Offer a draw (the computer answers immediately)
+router.post('/:gameId/offer-draw', auth, async (req, res) => {
+    try {
+        const { accepted, game } = await gameService.offerDraw(req.params.gameId, req.user.id);
+        let message = 'Draw offered';
+        if (accepted === true) message = 'Draw offer accepted';
+        if (accepted === false) message = 'Draw offer declined';
+        res.json({
+            message,
+            gameId: game.gameId,
+            accepted,
+            status: game.status,
+            result: game.result,
+            termination: game.termination,
+            drawOffer: game.drawOffer
+        });
+    } catch (error) {
+        logger.error(`Error offering draw in game ${req.params.gameId}: ${error.message}`);
+        res.status(400).json({ message: 'Failed to offer draw', error: error.message });
+    }
+});
+
+// POST /api/games/:gameId/accept-draw - Accept the opponent's draw offer
+router.post('/:gameId/accept-draw', auth, async (req, res) => {
+    try {
+        const game = await gameService.respondToDrawOffer(req.params.gameId, req.user.id, true);
+        res.json({
+            message: 'Draw agreed',
+            gameId: game.gameId,
+            status: game.status,
+            result: game.result,
+            termination: game.termination
+        });
+    } catch (error) {
+        logger.error(`Error accepting draw in game ${req.params.gameId}: ${error.message}`);
+        res.status(400).json({ message: 'Failed to accept draw', error: error.message });
+    }
+});
+
+// POST /api/games/:gameId/decline-draw - Decline the opponent's draw offer
+router.post('/:gameId/decline-draw', auth, async (req, res) => {
+    try {
+        const game = await gameService.respondToDrawOffer(req.params.gameId, req.user.id, false);
+        res.json({ message: 'Draw offer declined', gameId: game.gameId, drawOffer: game.drawOffer });
+    } catch (error) {
+        logger.error(`Error declining draw in game ${req.params.gameId}: ${error.message}`);
+        res.status(400).json({ message: 'Failed to decline draw', error: error.message });
+    }
+});
+
+// POST /api/games/:gameId/claim-draw - Claim a draw by threefold repetition or the fifty-move rule
+router.post('/:gameId/claim-draw', auth, async (req, res) => {
+    try {
+        const game = await gameService.claimDraw(req.params.gameId, req.user.id);
+        res.json({
+            message: 'Draw claimed',
+            gameId: game.gameId,
+            status: game.status,
+            result: game.result,
+            termination: game.termination
+        });
+    } catch (error) {
+        logger.error(`Error claiming draw in game ${req.params.gameId}: ${error.message}`);
+        res.status(400).json({ message: 'Failed to claim draw', error: error.message });
+    }
+});
+
+// POST /api/games/:gameId/takeback - Take back the last move and the computer's reply
+router.post('/:gameId/takeback', auth, async (req, res) => {
+    try {
+        const { game, undoneMoves } = await gameService.takebackMove(req.params.gameId, req.user.id);
+        res.json({
+            message: 'Move taken back',
+            gameId: game.gameId,
+            undoneMoves,
+            fen: game.fen,
+            pgn: game.pgn,
+            takebacks: game.takebacks,
+            clock: game.clock
+        });
+    } catch (error) {
+        logger.error(`Error taking back move in game ${req.params.gameId}: ${error.message}`);
+        res.status(400).json({ message: 'Failed to take back move', error: error.message });
+    }
+});
+
+// GET /api/games/:gameId/hint - Hint for the current position; repeated calls reveal more
+router.get('/:gameId/hint', auth, async (req, res) => {
+    try {
+        const hint = await gameService.getHint(req.params.gameId, req.user.id);
+        res.json(hint);
+    } catch (error) {
+        logger.error(`Error getting hint for game ${req.params.gameId}: ${error.message}`);
+        res.status(400).json({ message: 'Failed to get hint', error: error.message });
+    }
+});
+
+// POST /api/games/:gameId/terminate - Leave a game; a game being played counts as abandoned by the caller
 router.post('/:gameId/terminate', auth, async (req, res) => {
     try {
         const { gameId } = req.params;
-        await gameService.terminateGame(gameId);
-        res.json({ message: `Game ${gameId} terminated successfully.` });
+        const game = await gameService.leaveGame(gameId, req.user.id);
+        res.json({
+            message: `Game ${gameId} terminated successfully.`,
+            gameId: game.gameId,
+            status: game.status,
+            result: game.result,
+            termination: game.termination
+        });
     } catch (error) {
         logger.error(`Error terminating game ${req.params.gameId}: ${error.message}`);
-        res.status(500).json({ message: 'Failed to terminate game', error: error.message });
+        const status = error.message === 'Game not found.' ? 404 : 400;
+        res.status(status).json({ message: 'Failed to terminate game', error: error.message });
     }
 });
 
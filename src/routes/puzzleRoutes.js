@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const puzzleService = require('../services/puzzleService');
+const logger = require('../utils/logger');
+const auth = require('../middleware/auth');
+
+// GET /api/puzzles/next - Next puzzle due for review, taken from the user's own games
+router.get('/next', auth, async (req, res) => {
+    try {
+        const next = await puzzleService.getNextPuzzle(req.user.id);
+        res.json(next);
+    } catch (error) {
+        logger.error(`Error fetching next puzzle for user ${req.user.id}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to retrieve puzzle', error: error.message });
+    }
+});
+
+// POST /api/puzzles/:puzzleId/attempt - Play one move of the current attempt
+router.post('/:puzzleId/attempt', auth, async (req, res) => {
+    try {
+        const { move } = req.body;
+        if (!move) {
+            return res.status(400).json({ message: 'move is required.' });
+        }
+
+        const result = await puzzleService.attemptPuzzle(req.params.puzzleId, req.user.id, move);
+        res.json(result);
+    } catch (error) {
+        logger.error(`Error attempting puzzle ${req.params.puzzleId}: ${error.message}`);
+        const status = error.message === 'Puzzle not found.' ? 404 : 400;
+        res.status(status).json({ message: 'Failed to play puzzle move', error: error.message });
+    }
+});
+
+module.exports = router;
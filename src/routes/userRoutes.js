@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const ratingService = require('../services/ratingService');
+const statsService = require('../services/statsService');
+const adaptiveService = require('../services/adaptiveService');
+const logger = require('../utils/logger');
+const auth = require('../middleware/auth');
+
+// GET /api/users/me/stats - Performance statistics of the authenticated user
+router.get('/me/stats', auth, async (req, res) => {
+    try {
+        const stats = await statsService.getUserStats(req.user.id);
+        res.json(stats);
+    } catch (error) {
+        logger.error(`Error computing stats for user ${req.user.id}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to retrieve stats', error: error.message });
+    }
+});
+
+// GET /api/users/me/adaptive - Adaptive engine strength of the authenticated user and its recent adjustments
+router.get('/me/adaptive', auth, async (req, res) => {
+    try {
+        const strength = await adaptiveService.getAdaptiveStrength(req.user.id);
+        res.json(strength);
+    } catch (error) {
+        logger.error(`Error fetching adaptive strength for user ${req.user.id}: ${error.message}`);
+        const status = error.message === 'User not found.' ? 404 : 500;
+        res.status(status).json({ message: 'Failed to retrieve adaptive strength', error: error.message });
+    }
+});
+
+// GET /api/users/:username/rating - Ratings per time control category and recent rating changes
+// Optional ?category=blitz limits the history to one category
+router.get('/:username/rating', auth, async (req, res) => {
+    try {
+        const ratings = await ratingService.getUserRatings(req.params.username, req.query.category);
+        res.json(ratings);
+    } catch (error) {
+        logger.error(`Error fetching rating for ${req.params.username}: ${error.message}`);
+        const status = error.message === 'User not found.' ? 404 : 400;
+        res.status(status).json({ message: 'Failed to retrieve rating', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,15 +1,36 @@
 const { app, server, io } = require('./app');
 const connectDB = require('./config/db');
 const logger = require('./utils/logger');
+const { validateAuthConfig } = require('./config/authConfig');
 const gameService = require('./services/gameService');
+const stockfishService = require('./services/stockfishService');
+const matchmakingService = require('./services/matchmakingService');
+const analysisJobService = require('./services/analysisJobService');
+const presenceService = require('./services/presenceService');
 require('dotenv').config();
 
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB
-connectDB();
+// Refuse to start without usable token keys
+try {
+    validateAuthConfig();
+} catch (error) {
+    logger.error(`Invalid auth configuration: ${error.message}`);
+    process.exit(1);
+}
+
+// Connect to MongoDB, pick up games and analysis jobs left over from a previous run,
+// then keep reaping games that go idle
+connectDB()
+    .then(() => gameService.recoverGames())
+    .then(() => analysisJobService.resumeJobs())
+    .then(() => gameService.startIdleGameReaper())
+    .catch((err) => logger.error(`Recovery failed: ${err.message}`));
 
 gameService.setSocketIo(io);
+matchmakingService.setSocketIo(io);
+analysisJobService.setSocketIo(io);
+presenceService.setSocketIo(io);
 
 // Start the server
 server.listen(PORT, () => {
@@ -20,5 +41,6 @@ server.listen(PORT, () => {
 process.on('unhandledRejection', (err, promise) => {
     logger.error(`Unhandled Rejection at: ${promise}, reason: ${err.message}`);
     // Application specific logging, throwing an error, or other logic here
+    stockfishService.shutdown(); // Don't leave pooled engine processes behind
     server.close(() => process.exit(1)); // Exit process with failure
 });
\ No newline at end of file
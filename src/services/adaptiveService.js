@@ -0,0 +1,163 @@
+const User = require('../models/User');
+const StrengthAdjustment = require('../models/StrengthAdjustment');
+const logger = require('../utils/logger');
+const { getCurrentRating, scoreFor } = require('./ratingService');
+const { getEngineSettingsForElo, ENGINE_SETTING_RANGES } = require('../config/stockfishConfig');
+
+const MIN_ELO = ENGINE_SETTING_RANGES.elo.min;
+const MAX_ELO = 3000; // Level 10
+const CALIBRATION_GAMES = 5; // First adaptive games move the strength faster
+const CALIBRATION_STEP = 200; // Elo moved after a win or loss while calibrating
+const ADJUSTMENT_STEP = 75; // Elo moved after a win or loss afterwards; draws leave it unchanged
+const MIN_PLIES = 10; // Shorter games say too little about the player's strength
+const IN_GAME_MARGIN_CP = 300; // Engine advantage (or deficit) that makes it play weaker (or stronger)
+const IN_GAME_STEP = 100;
+const IN_GAME_MAX_SHIFT = 300; // Furthest the in-game strength moves from the game's starting Elo
+const IN_GAME_INTERVAL_PLIES = 10; // Plies between two in-game adjustments
+const HISTORY_LIMIT = 50;
+
+const clampElo = (elo) => Math.min(Math.max(Math.round(elo), MIN_ELO), MAX_ELO);
+
+/**
+ * The engine a new adaptive game is played against. The strength starts from
+ * the user's adaptive Elo, or from their rating in the game's time control
+ * category for their first adaptive game.
+ * @param {string} userId
+ * @param {object} options
+ * @param {object|null} options.timeControl - Parsed time control, null for untimed
+ * @param {boolean} [options.inGame=false] - Also adjust the strength during the game
+ * @returns {Promise<{difficulty: null, engine: object, adaptive: object}>} - engine is the snapshot stored on the game
+ */
+const resolveAdaptiveEngine = async (userId, { timeControl, inGame = false }) => {
+    const user = await User.findById(userId).select('adaptiveStrength');
+    if (!user) {
+        throw new Error('User not found.');
+    }
+    const elo = user.adaptiveStrength.elo === null
+        ? clampElo(await getCurrentRating(userId, timeControl))
+        : user.adaptiveStrength.elo;
+
+    return {
+        difficulty: null,
+        engine: { profileId: null, name: `Adaptive ${elo}`, private: false, settings: getEngineSettingsForElo(elo) },
+        adaptive: { startElo: elo, elo, inGame, adjustments: [] }
+    };
+};
+
+/**
+ * Adjusts the engine's strength within an adaptive game from its evaluation:
+ * a clearly winning engine plays weaker, a clearly losing one stronger, within
+ * IN_GAME_MAX_SHIFT of the starting Elo and at most every IN_GAME_INTERVAL_PLIES.
+ * Records the change on the game document (not saved here).
+ * @param {Game} gameDoc - An adaptive game with in-game adjustment
+ * @param {{type: string, value: number}} evaluation - The engine's evaluation, from its side
+ * @returns {object|null} - The new engine settings, or null if unchanged
+ */
+const adjustInGame = (gameDoc, evaluation) => {
+    const { adaptive } = gameDoc;
+    const ply = gameDoc.moves.length;
+    const lastAdjustment = adaptive.adjustments[adaptive.adjustments.length - 1];
+    if (lastAdjustment && ply - lastAdjustment.ply < IN_GAME_INTERVAL_PLIES) {
+        return null;
+    }
+
+    const engineCp = evaluation.type === 'mate' ? Math.sign(evaluation.value) * 10000 : evaluation.value;
+    let target = adaptive.elo;
+    if (engineCp > IN_GAME_MARGIN_CP) target -= IN_GAME_STEP;
+    else if (engineCp < -IN_GAME_MARGIN_CP) target += IN_GAME_STEP;
+    target = clampElo(Math.min(Math.max(target, adaptive.startElo - IN_GAME_MAX_SHIFT), adaptive.startElo + IN_GAME_MAX_SHIFT));
+    if (target === adaptive.elo) {
+        return null;
+    }
+
+    logger.info(`Game ${gameDoc.gameId}: adaptive engine ${adaptive.elo} -> ${target} Elo (evaluation ${evaluation.type} ${evaluation.value}).`);
+    adaptive.elo = target;
+    adaptive.adjustments.push({ ply, elo: target, evaluation });
+    return getEngineSettingsForElo(target);
+};
+
+/**
+ * Moves the user's adaptive Elo after a finished adaptive game: up after a
+ * win, down after a loss, so that the user scores about 50% over time.
+ * Games without a result, very short games and games already applied are skipped.
+ * @param {Game} gameDoc - A finished game
+ * @returns {Promise<{elo: number, change: number}|null>} - null if nothing changed
+ */
+const applyGameResult = async (gameDoc) => {
+    if (!gameDoc.adaptive || gameDoc.result === '*' || gameDoc.moves.length < MIN_PLIES) {
+        return null;
+    }
+
+    const user = await User.findById(gameDoc.userId).select('username adaptiveStrength');
+    if (!user) {
+        return null;
+    }
+
+    const score = scoreFor(gameDoc.result, gameDoc.humanColor);
+    const eloBefore = user.adaptiveStrength.elo === null ? gameDoc.adaptive.startElo : user.adaptiveStrength.elo;
+    const step = user.adaptiveStrength.games < CALIBRATION_GAMES ? CALIBRATION_STEP : ADJUSTMENT_STEP;
+    const elo = clampElo(eloBefore + step * (score - 0.5) * 2);
+
+    try {
+        // Written first: its unique (userId, gameId) index keeps a game from counting twice
+        await StrengthAdjustment.create({
+            userId: user._id,
+            gameId: gameDoc.gameId,
+            eloBefore,
+            elo,
+            gameElo: gameDoc.adaptive.elo,
+            score
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            logger.warn(`Adaptive strength for game ${gameDoc.gameId} was already adjusted.`);
+            return null;
+        }
+        throw error;
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { 'adaptiveStrength.elo': elo }, $inc: { 'adaptiveStrength.games': 1 } }
+    );
+
+    logger.info(`Adaptive strength of ${user.username} ${eloBefore} -> ${elo} after game ${gameDoc.gameId}.`);
+    return { elo, change: elo - eloBefore };
+};
+
+/**
+ * A user's adaptive strength and its recent adjustments.
+ * @param {string} userId
+ * @returns {Promise<{elo: number|null, games: number, history: Array<object>}>} - elo is null before the first adaptive game
+ */
+const getAdaptiveStrength = async (userId) => {
+    const user = await User.findById(userId).select('adaptiveStrength');
+    if (!user) {
+        throw new Error('User not found.');
+    }
+
+    const history = await StrengthAdjustment.find({ userId: user._id })
+        .sort({ createdAt: -1 })
+        .limit(HISTORY_LIMIT)
+        .select('gameId eloBefore elo gameElo score createdAt');
+
+    return {
+        elo: user.adaptiveStrength.elo,
+        games: user.adaptiveStrength.games,
+        history: history.map((entry) => ({
+            gameId: entry.gameId,
+            elo: entry.elo,
+            change: entry.elo - entry.eloBefore,
+            gameElo: entry.gameElo,
+            score: entry.score,
+            createdAt: entry.createdAt
+        }))
+    };
+};
+
+module.exports = {
+    resolveAdaptiveEngine,
+    adjustInGame,
+    applyGameResult,
+    getAdaptiveStrength
+};
@@ -0,0 +1,253 @@
+const { v4: uuidv4 } = require('uuid');
+const AnalysisJob = require('../models/AnalysisJob');
+const Game = require('../models/Game');
+const gameService = require('./gameService');
+const puzzleService = require('./puzzleService');
+const logger = require('../utils/logger');
+
+// How many games are analysed at the same time; each one keeps a pooled engine busy
+const CONCURRENCY = parseInt(process.env.ANALYSIS_CONCURRENCY, 10) || 1;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const cancelRequests = new Set(); // jobIds of running jobs that were asked to stop
+let runningJobs = 0;
+let pumping = false;
+let pumpRequested = false;
+let ioInstance; // To hold the Socket.IO server instance
+
+const setSocketIo = (io) => {
+    ioInstance = io;
+};
+
+const emitToGame = (gameId, event, payload) => {
+    if (ioInstance) {
+        ioInstance.to(gameId).emit(event, payload);
+    }
+};
+
+/**
+ * Public view of a job, as returned by the API.
+ * @param {AnalysisJob} job
+ * @returns {object}
+ */
+const toJobSummary = (job) => ({
+    jobId: job.jobId,
+    gameId: job.gameId,
+    status: job.status,
+    progress: { current: job.progress.current, total: job.progress.total },
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+});
+
+/**
+ * Runs one claimed job to completion, cancellation or failure.
+ * @param {AnalysisJob} job
+ */
+const runJob = async (job) => {
+    const { jobId, gameId } = job;
+    logger.info(`Analysis job ${jobId} started for game ${gameId}.`);
+
+    try {
+        await gameService.analyzeGame(gameId, {
+            isCancelled: async () => cancelRequests.has(jobId),
+            onProgress: async ({ ply, totalPlies, entry }) => {
+                await AnalysisJob.updateOne(
+                    { jobId },
+                    { $set: { 'progress.current': ply, 'progress.total': totalPlies, updatedAt: Date.now() } }
+                );
+                emitToGame(gameId, 'analysisProgress', { jobId, gameId, ply, totalPlies, entry });
+            }
+        });
+
+        const status = cancelRequests.has(jobId) ? 'cancelled' : 'completed';
+        await AnalysisJob.updateOne({ jobId }, { $set: { status, finishedAt: Date.now(), updatedAt: Date.now() } });
+        emitToGame(gameId, status === 'completed' ? 'analysisComplete' : 'analysisCancelled', { jobId, gameId });
+        logger.info(`Analysis job ${jobId} ${status}.`);
+
+        if (status === 'completed') {
+            // A failed extraction does not fail the analysis
+            puzzleService.createPuzzlesFromGame(gameId)
+                .catch((error) => logger.error(`Puzzle extraction failed for game ${gameId}: ${error.message}`));
+        }
+    } catch (error) {
+        logger.error(`Analysis job ${jobId} failed: ${error.message}`);
+        await AnalysisJob.updateOne(
+            { jobId },
+            { $set: { status: 'failed', error: error.message, finishedAt: Date.now(), updatedAt: Date.now() } }
+        );
+        emitToGame(gameId, 'analysisFailed', { jobId, gameId, error: error.message });
+    } finally {
+        cancelRequests.delete(jobId);
+    }
+};
+
+/**
+ * Claims queued jobs, oldest first, until CONCURRENCY jobs are running.
+ */
+const pump = async () => {
+    if (pumping) {
+        // A pass is already running; make it look for work once more before it stops
+        pumpRequested = true;
+        return;
+    }
+    pumping = true;
+    try {
+        do {
+            pumpRequested = false;
+            while (runningJobs < CONCURRENCY) {
+                // Conditional update, so a job is only ever claimed once
+                const job = await AnalysisJob.findOneAndUpdate(
+                    { status: 'queued' },
+                    { $set: { status: 'running', startedAt: Date.now(), updatedAt: Date.now() } },
+                    { sort: { createdAt: 1 }, new: true }
+                );
+                if (!job) break;
+
+                runningJobs++;
+                runJob(job).finally(() => {
+                    runningJobs--;
+                    schedulePump();
+                });
+            }
+        } while (pumpRequested);
+    } finally {
+        pumping = false;
+    }
+};
+
+const schedulePump = () => {
+    pump().catch((error) => logger.error(`Analysis queue error: ${error.message}`));
+};
+
+/**
+ * Queues a background analysis for a finished game, unless one is already
+ * queued or running.
+ * @param {string} gameId
+ * @param {string} userId - The ID of the requesting user; must take part in the game.
+ * @returns {Promise<{job: object|null, created: boolean}>} - job is null if the game is already fully analysed
+ */
+const requestAnalysis = async (gameId, userId) => {
+    const gameDoc = await Game.findOne({ gameId }).select('gameId userId mode players playerIds visibility status moves analysis');
+    if (!gameDoc) {
+        throw new Error('Game not found.');
+    }
+    if (!gameService.checkGameAccess(gameDoc, userId)) {
+        throw new Error('Only the players can request an analysis of this game.');
+    }
+
+    const activeJob = await AnalysisJob.findOne({ gameId, status: { $in: ACTIVE_STATUSES } });
+    if (activeJob) {
+        return { job: toJobSummary(activeJob), created: false };
+    }
+    if (gameDoc.status !== 'finished') {
+        throw new Error('Game is not finished and cannot be analyzed.');
+    }
+    if (gameService.isAnalysisComplete(gameDoc)) {
+        return { job: null, created: false };
+    }
+
+    const job = new AnalysisJob({
+        jobId: uuidv4(),
+        gameId,
+        userId,
+        // A previously interrupted or cancelled analysis resumes where it stopped
+        progress: { current: gameDoc.analysis.length, total: gameDoc.moves.length }
+    });
+    await job.save();
+    logger.info(`Analysis job ${job.jobId} queued for game ${gameId}.`);
+
+    schedulePump();
+    return { job: toJobSummary(job), created: true };
+};
+
+/**
+ * Cancels the queued or running analysis of a game. A running job stops
+ * before its next ply; entries analysed so far are kept.
+ * @param {string} gameId
+ * @param {string} userId - The ID of the user cancelling; must have requested the job.
+ * @returns {Promise<object>} - The job summary
+ */
+const cancelAnalysis = async (gameId, userId) => {
+    const job = await AnalysisJob.findOne({ gameId, status: { $in: ACTIVE_STATUSES } });
+    if (!job) {
+        throw new Error('No analysis in progress for this game.');
+    }
+    if (job.userId.toString() !== String(userId)) {
+        throw new Error('Only the user who requested the analysis can cancel it.');
+    }
+
+    if (job.status === 'queued') {
+        const cancelled = await AnalysisJob.findOneAndUpdate(
+            { jobId: job.jobId, status: 'queued' },
+            { $set: { status: 'cancelled', finishedAt: Date.now(), updatedAt: Date.now() } },
+            { new: true }
+        );
+        if (cancelled) {
+            emitToGame(gameId, 'analysisCancelled', { jobId: job.jobId, gameId });
+            logger.info(`Analysis job ${job.jobId} cancelled before it started.`);
+            return toJobSummary(cancelled);
+        }
+        // It was claimed by the worker in the meantime; stop it like a running job
+    }
+
+    cancelRequests.add(job.jobId);
+    logger.info(`Cancellation requested for analysis job ${job.jobId}.`);
+    return { ...toJobSummary(job), status: 'running', cancelRequested: true };
+};
+
+/**
+ * Analysis state of a game: the latest job and the entries stored so far.
+ * @param {string} gameId
+ * @param {string} userId - The ID of the requesting user; must be allowed to see the game.
+ * @returns {Promise<{gameId: string, status: string, job: object|null, analysis: Array, summary: object|null}>} -
+ *   summary (accuracy, average centipawn loss, evaluation graph) is set once the analysis is complete
+ */
+const getAnalysisStatus = async (gameId, userId) => {
+    const gameDoc = await Game.findOne({ gameId }).select('gameId userId mode players playerIds visibility status moves analysis analysisSummary');
+    if (!gameDoc) {
+        throw new Error('Game not found.');
+    }
+    gameService.checkGameAccess(gameDoc, userId);
+
+    const job = await AnalysisJob.findOne({ gameId }).sort({ createdAt: -1 });
+    let status = 'none';
+    if (job) {
+        status = job.status;
+    } else if (gameService.isAnalysisComplete(gameDoc)) {
+        status = 'completed'; // Analysed before background jobs existed
+    }
+
+    return {
+        gameId,
+        status,
+        job: job ? toJobSummary(job) : null,
+        analysis: gameDoc.analysis,
+        summary: gameDoc.analysisSummary
+    };
+};
+
+/**
+ * Requeues jobs that were running when the server stopped and starts the worker.
+ * Resumed jobs continue after the last ply stored on the game.
+ * @returns {Promise<void>}
+ */
+const resumeJobs = async () => {
+    const interrupted = await AnalysisJob.updateMany(
+        { status: 'running' },
+        { $set: { status: 'queued', updatedAt: Date.now() } }
+    );
+    if (interrupted.modifiedCount > 0) {
+        logger.warn(`Requeued ${interrupted.modifiedCount} interrupted analysis jobs.`);
+    }
+    schedulePump();
+};
+
+module.exports = {
+    setSocketIo,
+    requestAnalysis,
+    cancelAnalysis,
+    getAnalysisStatus,
+    resumeJobs
+};
@@ -0,0 +1,128 @@
+const logger = require('../utils/logger');
+
+const flagTimers = new Map(); // gameId -> Timeout that fires when the running clock reaches zero
+
+const otherColor = (color) => (color === 'white' ? 'black' : 'white');
+
+/**
+ * Creates the initial clock state for a time control.
+ * Neither clock runs until the first move has been made.
+ * @param {{initialMs: number}} timeControl
+ * @returns {{white: number, black: number, running: string|null, lastMoveAt: Date|null}}
+ */
+const createClock = (timeControl) => ({
+    white: timeControl.initialMs,
+    black: timeControl.initialMs,
+    running: null,
+    lastMoveAt: null
+});
+
+/**
+ * Time (ms) a side has left at `now`, counting the time elapsed on a running clock.
+ * @param {object} clock - Clock state as stored on the Game
+ * @param {string} color - 'white' or 'black'
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+const getRemaining = (clock, color, now = Date.now()) => {
+    if (clock.running !== color || !clock.lastMoveAt) {
+        return clock[color];
+    }
+    return clock[color] - (now - new Date(clock.lastMoveAt).getTime());
+};
+
+/**
+ * Stops the mover's clock after a move, applies the increment or delay,
+ * and starts the opponent's clock. Mutates `clock`.
+ * @param {object} clock - Clock state as stored on the Game
+ * @param {{incrementMs: number, mode: string}} timeControl
+ * @param {string} color - The side that just moved
+ * @param {number} [now=Date.now()]
+ * @returns {{remaining: number, flagged: boolean}} - Mover's time after the move
+ */
+const punchClock = (clock, timeControl, color, now = Date.now()) => {
+    const elapsed = clock.running === color && clock.lastMoveAt
+        ? now - new Date(clock.lastMoveAt).getTime()
+        : 0;
+    let remaining = clock[color] - elapsed;
+    const flagged = remaining <= 0;
+
+    if (!flagged) {
+        remaining += timeControl.mode === 'bronstein'
+            ? Math.min(elapsed, timeControl.incrementMs)
+            : timeControl.incrementMs;
+    }
+
+    clock[color] = Math.max(remaining, 0);
+    clock.running = otherColor(color);
+    clock.lastMoveAt = new Date(now);
+
+    return { remaining: clock[color], flagged };
+};
+
+/**
+ * Freezes both clocks, e.g. when the game ends. Mutates `clock`.
+ * @param {object} clock
+ * @param {number} [now=Date.now()]
+ */
+const stopClock = (clock, now = Date.now()) => {
+    if (clock.running) {
+        clock[clock.running] = Math.max(getRemaining(clock, clock.running, now), 0);
+    }
+    clock.running = null;
+    clock.lastMoveAt = new Date(now);
+};
+
+/**
+ * Clock values as sent to clients in `gameStateUpdate`.
+ * @param {object} clock
+ * @returns {{white: number, black: number, running: string|null, serverTime: number}}
+ */
+const getSnapshot = (clock) => {
+    const now = Date.now();
+    return {
+        white: Math.max(getRemaining(clock, 'white', now), 0),
+        black: Math.max(getRemaining(clock, 'black', now), 0),
+        running: clock.running,
+        serverTime: now
+    };
+};
+
+/**
+ * Arms the server-side timer that fires when a game's running clock hits zero,
+ * replacing any timer already set for the game.
+ * @param {string} gameId
+ * @param {number} delayMs - Time left on the running clock
+ * @param {Function} onFlag - Called when the timer fires
+ */
+const scheduleFlag = (gameId, delayMs, onFlag) => {
+    clearFlag(gameId);
+    const timer = setTimeout(() => {
+        flagTimers.delete(gameId);
+        logger.debug(`Flag timer fired for game ${gameId}`);
+        onFlag();
+    }, Math.max(delayMs, 0));
+    flagTimers.set(gameId, timer);
+};
+
+/**
+ * Cancels a game's flag timer, if one is set.
+ * @param {string} gameId
+ */
+const clearFlag = (gameId) => {
+    const timer = flagTimers.get(gameId);
+    if (timer) {
+        clearTimeout(timer);
+        flagTimers.delete(gameId);
+    }
+};
+
+module.exports = {
+    createClock,
+    getRemaining,
+    punchClock,
+    stopClock,
+    getSnapshot,
+    scheduleFlag,
+    clearFlag
+};
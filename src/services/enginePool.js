@@ -0,0 +1,344 @@
+const { spawn } = require('child_process');
+const logger = require('../utils/logger');
+
+const RESTART_DELAY_MS = 1000; // Pause before replacing a crashed engine, so a broken binary cannot spin
+const COMMAND_TIMEOUT_MS = 10000; // Timeout for handshake commands (uci, isready)
+
+/**
+ * Parses a UCI `info` line carrying a score.
+ * @param {string} line - e.g. "info depth 12 seldepth 18 multipv 1 score cp 34 nodes ... pv e2e4 e7e5"
+ * @returns {{depth: number, multipv: number, evaluation: {type: string, value: number}, principalVariation: string}|null} -
+ *   null for info lines without a score (currmove, string, ...)
+ */
+const parseInfoLine = (line) => {
+    const tokens = line.trim().split(/\s+/);
+    if (tokens[0] !== 'info') {
+        return null;
+    }
+
+    const scoreIndex = tokens.indexOf('score');
+    if (scoreIndex === -1) {
+        return null;
+    }
+
+    const depthIndex = tokens.indexOf('depth');
+    const multipvIndex = tokens.indexOf('multipv');
+    const pvIndex = tokens.indexOf('pv');
+
+    return {
+        depth: depthIndex === -1 ? 0 : parseInt(tokens[depthIndex + 1], 10),
+        multipv: multipvIndex === -1 ? 1 : parseInt(tokens[multipvIndex + 1], 10),
+        evaluation: { type: tokens[scoreIndex + 1], value: parseInt(tokens[scoreIndex + 2], 10) },
+        principalVariation: pvIndex === -1 ? '' : tokens.slice(pvIndex + 1).join(' ')
+    };
+};
+
+/**
+ * Parses a UCI `bestmove` line.
+ * @param {string} line - e.g. "bestmove e7e8q ponder d8e8"
+ * @returns {{bestMove: string|null, ponder: string|null}|null} - null if the line is not a bestmove line
+ */
+const parseBestMoveLine = (line) => {
+    const tokens = line.trim().split(/\s+/);
+    if (tokens[0] !== 'bestmove') {
+        return null;
+    }
+    const ponderIndex = tokens.indexOf('ponder');
+    return {
+        bestMove: tokens[1] && tokens[1] !== '(none)' ? tokens[1] : null,
+        ponder: ponderIndex === -1 ? null : tokens[ponderIndex + 1]
+    };
+};
+
+/**
+ * Creates a bounded pool of UCI engine processes. Engines are spawned lazily up
+ * to `size`, leased for one search at a time, and requests wait in a FIFO queue
+ * while every engine is busy. An engine that exits unexpectedly is replaced.
+ * @param {object} config
+ * @param {string} config.enginePath - Path to the UCI engine executable
+ * @param {number} config.size - Maximum number of engine processes
+ * @param {number} [config.queueTimeoutMs=60000] - How long a request may wait for a free engine
+ * @returns {{search: Function, shutdown: Function}}
+ */
+const createEnginePool = ({ enginePath, size, queueTimeoutMs = 60000 }) => {
+    const engines = new Set(); // All live engine entries
+    const idleEngines = []; // Ready engines waiting for work
+    const waitQueue = []; // Pending leases: { resolve, reject, timer }
+    let nextEngineId = 1;
+    let shuttingDown = false;
+
+    /**
+     * Writes a command and resolves with the output lines once a line
+     * starting with `expected` arrives.
+     */
+    const sendAndWait = (engine, command, expected, timeoutMs = COMMAND_TIMEOUT_MS) => {
+        return new Promise((resolve, reject) => {
+            const lines = [];
+            const timer = setTimeout(() => {
+                engine.lineListeners.delete(onLine);
+                reject(new Error(`Engine ${engine.id} timed out waiting for "${expected}" after "${command}".`));
+            }, timeoutMs);
+
+            const onLine = (line) => {
+                lines.push(line);
+                if (line.startsWith(expected)) {
+                    clearTimeout(timer);
+                    engine.lineListeners.delete(onLine);
+                    resolve(lines);
+                }
+            };
+
+            engine.lineListeners.add(onLine);
+            engine.write(command);
+        });
+    };
+
+    /**
+     * Spawns an engine process and completes the UCI handshake.
+     * @returns {Promise<object>} - The engine entry
+     */
+    const spawnEngine = async () => {
+        const id = nextEngineId++;
+        const child = spawn(enginePath);
+        const engine = {
+            id,
+            process: child,
+            lineListeners: new Set(),
+            failCurrent: null, // Rejects the search in progress if the process dies
+            alive: true,
+            write: (command) => {
+                logger.debug(`Engine ${id} sent: ${command}`);
+                child.stdin.write(`${command}\n`);
+            }
+        };
+        engines.add(engine);
+
+        // stdout arrives in arbitrary chunks; hand complete lines to the listeners
+        let pending = '';
+        child.stdout.on('data', (data) => {
+            pending += data.toString();
+            const lines = pending.split('\n');
+            pending = lines.pop();
+            for (const rawLine of lines) {
+                const line = rawLine.trim();
+                if (!line) continue;
+                logger.debug(`Engine ${id} received: ${line}`);
+                for (const listener of [...engine.lineListeners]) {
+                    listener(line);
+                }
+            }
+        });
+        child.stderr.on('data', (data) => logger.error(`Engine ${id} STDERR: ${data.toString()}`));
+        child.stdin.on('error', (error) => logger.error(`Engine ${id} stdin error: ${error.message}`));
+
+        const onDeath = (reason) => {
+            if (!engine.alive) return;
+            engine.alive = false;
+            engines.delete(engine);
+            const idleIndex = idleEngines.indexOf(engine);
+            if (idleIndex !== -1) {
+                idleEngines.splice(idleIndex, 1);
+            }
+            if (engine.failCurrent) {
+                const error = new Error(`Engine ${id} stopped during a search (${reason}).`);
+                error.engineDied = true;
+                engine.failCurrent(error);
+            }
+            if (shuttingDown) return;
+
+            logger.error(`Engine ${id} died (${reason}).`);
+            // Replace it only if someone is waiting; otherwise the next lease spawns one on demand
+            if (waitQueue.length > 0) {
+                setTimeout(() => {
+                    if (waitQueue.length > 0 && engines.size < size) {
+                        addEngine();
+                    }
+                }, RESTART_DELAY_MS);
+            }
+        };
+        child.on('exit', (code, signal) => onDeath(signal || `exit code ${code}`));
+        child.on('error', (error) => onDeath(error.message));
+
+        try {
+            // Fail fast if the process dies (e.g. a wrong path) instead of waiting for the timeout
+            await new Promise((resolve, reject) => {
+                engine.failCurrent = reject;
+                sendAndWait(engine, 'uci', 'uciok')
+                    .then(() => sendAndWait(engine, 'isready', 'readyok'))
+                    .then(resolve, reject);
+            });
+        } catch (error) {
+            child.kill();
+            throw error;
+        } finally {
+            engine.failCurrent = null;
+        }
+        logger.info(`Engine ${id} started (${engines.size}/${size} in pool).`);
+        return engine;
+    };
+
+    // Starts a new engine and hands it to the pool once it is ready
+    const addEngine = () => {
+        spawnEngine()
+            .then((engine) => release(engine))
+            .catch((error) => {
+                logger.error(`Failed to start engine: ${error.message}`);
+                const waiter = waitQueue.shift();
+                if (waiter) {
+                    clearTimeout(waiter.timer);
+                    waiter.reject(new Error('Failed to initialize Stockfish engine.'));
+                }
+            });
+    };
+
+    /**
+     * Leases an idle engine, spawning one if the pool has room, or waits for one.
+     * @returns {Promise<object>}
+     */
+    const acquire = () => {
+        if (shuttingDown) {
+            return Promise.reject(new Error('Engine pool is shutting down.'));
+        }
+        const engine = idleEngines.pop();
+        if (engine) {
+            return Promise.resolve(engine);
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timer: null };
+            waiter.timer = setTimeout(() => {
+                const index = waitQueue.indexOf(waiter);
+                if (index !== -1) {
+                    waitQueue.splice(index, 1);
+                }
+                reject(new Error('Timed out waiting for a free engine.'));
+            }, queueTimeoutMs);
+            waitQueue.push(waiter);
+
+            // Engines join `engines` as soon as they are spawned, so starting ones count towards the bound
+            if (engines.size < size) {
+                addEngine();
+            }
+        });
+    };
+
+    /**
+     * Returns an engine to the pool, handing it straight to the next waiter if there is one.
+     * @param {object} engine
+     */
+    const release = (engine) => {
+        if (!engine.alive) return;
+        const waiter = waitQueue.shift();
+        if (waiter) {
+            clearTimeout(waiter.timer);
+            waiter.resolve(engine);
+        } else {
+            idleEngines.push(engine);
+        }
+    };
+
+    // Runs one search on a leased engine; see `search`
+    const runSearch = async ({ fen, options = [], goCommand, multiPv = 1, timeoutMs = 15000 }) => {
+        const engine = await acquire();
+        try {
+            engine.write('ucinewgame');
+            for (const option of options) {
+                engine.write(option);
+            }
+            // Always set, since the previous search on this engine may have used several lines
+            engine.write(`setoption name MultiPV value ${multiPv}`);
+            await sendAndWait(engine, 'isready', 'readyok');
+
+            return await new Promise((resolve, reject) => {
+                const latestLines = new Map(); // multipv -> parsed info line
+                let stopTimer = null;
+
+                const finish = (error, value) => {
+                    clearTimeout(searchTimer);
+                    clearTimeout(stopTimer);
+                    engine.lineListeners.delete(onLine);
+                    engine.failCurrent = null;
+                    if (error) reject(error);
+                    else resolve(value);
+                };
+
+                const searchTimer = setTimeout(() => {
+                    logger.warn(`Engine ${engine.id} timed out searching FEN: ${fen}`);
+                    // Ask for the best move found so far, and give up on the engine if it does not answer
+                    engine.write('stop');
+                    stopTimer = setTimeout(() => {
+                        engine.process.kill();
+                        finish(new Error('Stockfish search timed out.'));
+                    }, 500);
+                }, timeoutMs);
+
+                const onLine = (line) => {
+                    const info = parseInfoLine(line);
+                    if (info) {
+                        latestLines.set(info.multipv, info);
+                        return;
+                    }
+                    const best = parseBestMoveLine(line);
+                    if (best) {
+                        const lines = [...latestLines.values()].sort((a, b) => a.multipv - b.multipv);
+                        finish(null, { ...best, lines });
+                    }
+                };
+
+                engine.failCurrent = (error) => finish(error);
+                engine.lineListeners.add(onLine);
+                engine.write(`position fen ${fen}`);
+                engine.write(goCommand);
+            });
+        } finally {
+            release(engine);
+        }
+    };
+
+    /**
+     * Runs one search on a pooled engine. The engine is reset with `ucinewgame`
+     * and the request's options before every search. If the engine crashes
+     * mid-search, the search is retried once on another engine.
+     * @param {object} request
+     * @param {string} request.fen - Position to search
+     * @param {string[]} [request.options] - `setoption` commands for this search
+     * @param {string} request.goCommand - e.g. "go depth 20"
+     * @param {number} [request.multiPv=1] - Number of candidate lines to search
+     * @param {number} [request.timeoutMs=15000] - Time before the search is stopped
+     * @returns {Promise<{bestMove: string|null, ponder: string|null, lines: Array<object>}>} -
+     *   `lines` holds the latest info line per multipv index, ordered by index
+     */
+    const search = async (request) => {
+        try {
+            return await runSearch(request);
+        } catch (error) {
+            if (!error.engineDied) {
+                throw error;
+            }
+            logger.warn(`${error.message} Retrying on another engine.`);
+            return runSearch(request);
+        }
+    };
+
+    /**
+     * Kills every engine and rejects queued requests.
+     */
+    const shutdown = () => {
+        shuttingDown = true;
+        for (const waiter of waitQueue.splice(0)) {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error('Engine pool is shutting down.'));
+        }
+        for (const engine of engines) {
+            engine.process.kill();
+        }
+        idleEngines.length = 0;
+    };
+
+    return { search, shutdown };
+};
+
+module.exports = {
+    createEnginePool,
+    parseInfoLine,
+    parseBestMoveLine
+};
@@ -0,0 +1,189 @@
+const { v4: uuidv4 } = require('uuid');
+const EngineProfile = require('../models/EngineProfile');
+const logger = require('../utils/logger');
+const { getEngineSettingsForDifficulty, parseEngineSettings } = require('../config/stockfishConfig');
+
+const MAX_PRIVATE_PROFILES = 20; // Per user
+const MAX_NAME_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Public view of a profile.
+ * @param {EngineProfile} profile
+ * @returns {object}
+ */
+const toProfileView = (profile) => ({
+    profileId: profile.profileId,
+    name: profile.name,
+    description: profile.description,
+    global: !profile.ownerId,
+    settings: profile.settings.toObject(),
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt
+});
+
+/**
+ * Validates the name, description and settings of a create or update request.
+ * @param {object} input
+ * @param {object} [current] - The profile being updated; fields left out keep their value
+ * @returns {{name: string, description: string, settings: object}}
+ * @throws {Error} If a field is invalid
+ */
+const parseProfileInput = (input, current = null) => {
+    const name = input.name === undefined && current ? current.name : input.name;
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        throw new Error(`name is required and must be at most ${MAX_NAME_LENGTH} characters.`);
+    }
+    const description = input.description === undefined ? (current ? current.description : '') : input.description;
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new Error(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters.`);
+    }
+    const settings = parseEngineSettings(input.settings === undefined ? {} : input.settings, current ? current.settings.toObject() : undefined);
+    return { name: name.trim(), description, settings };
+};
+
+// Duplicate names hit the unique (ownerId, name) index
+const saveProfile = async (profile) => {
+    try {
+        await profile.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new Error(`A profile named "${profile.name}" already exists.`);
+        }
+        throw error;
+    }
+    return profile;
+};
+
+/**
+ * Global profiles and, when a user is given, that user's private ones.
+ * @param {string|null} userId
+ * @returns {Promise<Array<object>>} - Global profiles first, each group by name
+ */
+const listProfiles = async (userId = null) => {
+    const owners = userId ? [null, userId] : [null];
+    const profiles = await EngineProfile.find({ ownerId: { $in: owners } }).sort({ ownerId: 1, name: 1 });
+    return profiles.map(toProfileView);
+};
+
+/**
+ * A profile the user may play against: a global one or one of their own.
+ * @param {string} profileId
+ * @param {string|null} userId - null to look up global profiles only
+ * @returns {Promise<EngineProfile>}
+ * @throws {Error} 'Engine profile not found.' otherwise
+ */
+const findProfile = async (profileId, userId) => {
+    const profile = await EngineProfile.findOne({ profileId });
+    const visible = profile && (!profile.ownerId || (userId && profile.ownerId.toString() === String(userId)));
+    if (!visible) {
+        throw new Error('Engine profile not found.');
+    }
+    return profile;
+};
+
+/**
+ * Loads a profile for an update or deletion by its owner (userId null: an
+ * admin acting on a global profile).
+ * @param {string} profileId
+ * @param {string|null} ownerId
+ * @returns {Promise<EngineProfile>}
+ */
+const findOwnedProfile = async (profileId, ownerId) => {
+    const profile = await EngineProfile.findOne({ profileId, ownerId: ownerId || null });
+    if (!profile) {
+        throw new Error('Engine profile not found.');
+    }
+    return profile;
+};
+
+/**
+ * Gets one profile.
+ * @param {string} profileId
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+const getProfile = async (profileId, userId) => toProfileView(await findProfile(profileId, userId));
+
+/**
+ * Creates a profile.
+ * @param {object} input - { name, description, settings }; settings left out default to level 5
+ * @param {string|null} ownerId - The owning user, or null for a global profile
+ * @returns {Promise<object>}
+ */
+const createProfile = async (input, ownerId = null) => {
+    const { name, description, settings } = parseProfileInput(input);
+    if (ownerId && await EngineProfile.countDocuments({ ownerId }) >= MAX_PRIVATE_PROFILES) {
+        throw new Error(`You can have at most ${MAX_PRIVATE_PROFILES} engine profiles.`);
+    }
+
+    const profile = await saveProfile(new EngineProfile({ profileId: uuidv4(), name, description, ownerId, settings }));
+    logger.info(`Engine profile ${profile.profileId} ("${name}") created ${ownerId ? `by user ${ownerId}` : 'as a global profile'}.`);
+    return toProfileView(profile);
+};
+
+/**
+ * Updates a profile's name, description or settings. Games already played
+ * against it keep their own copy of the settings.
+ * @param {string} profileId
+ * @param {object} input - Fields to change; settings may be partial
+ * @param {string|null} ownerId - The owning user, or null for a global profile
+ * @returns {Promise<object>}
+ */
+const updateProfile = async (profileId, input, ownerId = null) => {
+    const profile = await findOwnedProfile(profileId, ownerId);
+    const { name, description, settings } = parseProfileInput(input, profile);
+    profile.set({ name, description, settings });
+    await saveProfile(profile);
+    logger.info(`Engine profile ${profileId} updated.`);
+    return toProfileView(profile);
+};
+
+/**
+ * Deletes a profile.
+ * @param {string} profileId
+ * @param {string|null} ownerId - The owning user, or null for a global profile
+ * @returns {Promise<void>}
+ */
+const deleteProfile = async (profileId, ownerId = null) => {
+    const profile = await findOwnedProfile(profileId, ownerId);
+    await profile.deleteOne();
+    logger.info(`Engine profile ${profileId} deleted.`);
+};
+
+/**
+ * Resolves the engine a new computer game is played against, from either a
+ * difficulty level or a profile, into the snapshot stored on the game.
+ * @param {string} userId
+ * @param {object} choice
+ * @param {number} [choice.difficulty] - 1-10
+ * @param {string} [choice.profileId]
+ * @returns {Promise<{difficulty: number|null, engine: {profileId: string|null, name: string, private: boolean, settings: object}}>}
+ */
+const resolveGameEngine = async (userId, { difficulty, profileId }) => {
+    if (profileId) {
+        const profile = await findProfile(profileId, userId);
+        return {
+            difficulty: null,
+            engine: {
+                profileId: profile.profileId,
+                name: profile.name,
+                private: Boolean(profile.ownerId),
+                settings: profile.settings.toObject()
+            }
+        };
+    }
+    return {
+        difficulty,
+        engine: { profileId: null, name: `Level ${difficulty}`, private: false, settings: getEngineSettingsForDifficulty(difficulty) }
+    };
+};
+
+module.exports = {
+    listProfiles,
+    getProfile,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    resolveGameEngine
+};
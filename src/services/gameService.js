@@ -1,38 +1,523 @@
 const { Chess } = require('chess.js');
 const Game = require('../models/Game');
+const User = require('../models/User');
 const stockfishService = require('./stockfishService');
+const clockService = require('./clockService');
+const ratingService = require('./ratingService');
+const adaptiveService = require('./adaptiveService');
+const statsService = require('./statsService');
 const logger = require('../utils/logger');
+const { getEngineSettingsForDifficulty, getEngineSettingsForElo } = require('../config/stockfishConfig');
+const { hasMatingMaterial, getGameOutcome, getClaimableDraw } = require('../utils/chessRules');
+const { classifyOpening } = require('../utils/openingClassifier');
+const { playMove, toMoveNotation, toSanMoves } = require('../utils/moveParser');
+const { encodeCursor } = require('../utils/historyQuery');
+const { winProbability, moveAccuracy, classifyMove, isOnlyMove, summarizeAnalysis } = require('../utils/analysisMetrics');
 const { v4: uuidv4 } = require('uuid'); // For unique game IDs
 
-const activeGames = new Map(); // gameId -> { chessInstance, players, difficulty }
+const activeGames = new Map(); // gameId -> { chessInstance, players, engineSettings, mode }
+const pendingRecoveries = new Map(); // gameId -> Promise resolving to the rehydrated activeGames entry
+const gameQueues = new Map(); // gameId -> Promise settling once the last queued action has run
 let ioInstance; // To hold the Socket.IO server instance
+const gameEndedListeners = []; // Called with the gameId whenever a game ends
+
+// 'playing' games untouched for longer than this are expired at startup, and
+// terminated by the idle game reaper while the server runs
+const STALE_GAME_HOURS = parseInt(process.env.STALE_GAME_HOURS, 10) || 24;
+const IDLE_REAP_INTERVAL_MINUTES = 15;
+
+// Candidate moves stored per analysed position
+const ANALYSIS_MULTIPV = parseInt(process.env.ANALYSIS_MULTIPV, 10) || 3;
+
+const MAX_CENTIPAWN_LOSS = 1000; // Per-move cap on the loss stored by analysis
+
+const DEFAULT_HINT_LIMIT = 3; // Hinted positions per computer game unless chosen at creation
+const PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
 
 const setSocketIo = (io) => {
     ioInstance = io;
 };
 
+/**
+ * Registers a callback for when a game ends, however it ends. Lets services
+ * that require this one (and so cannot be required by it) drop their state for the game.
+ * @param {Function} listener - Called with the gameId
+ */
+const onGameEnded = (listener) => {
+    gameEndedListeners.push(listener);
+};
+
+const notifyGameEnded = (gameId) => {
+    for (const listener of gameEndedListeners) {
+        try {
+            listener(gameId);
+        } catch (error) {
+            logger.error(`Game ended listener failed for game ${gameId}: ${error.message}`);
+        }
+    }
+};
+
+/**
+ * Emits an event to everyone in a game's room.
+ * @param {string} gameId
+ * @param {string} event
+ * @param {object} payload
+ */
+const emitToGame = (gameId, event, payload) => {
+    if (ioInstance) {
+        ioInstance.to(gameId).emit(event, payload);
+    }
+};
+
+/**
+ * Builds the `gameStateUpdate` payload for a game document.
+ * @param {Game} gameDoc
+ * @param {object} [extra] - Additional fields (e.g. aiMove, lastMove as { uci, san })
+ * @returns {object}
+ */
+const buildGameState = (gameDoc, extra = {}) => ({
+    gameId: gameDoc.gameId,
+    startFen: gameDoc.startFen,
+    fen: gameDoc.fen,
+    pgn: gameDoc.pgn,
+    moves: gameDoc.moves, // UCI
+    sanMoves: toSanMoves(gameDoc.startFen, gameDoc.moves),
+    players: gameDoc.players,
+    status: gameDoc.status,
+    result: gameDoc.result,
+    termination: gameDoc.termination,
+    drawOffer: gameDoc.drawOffer,
+    opening: gameDoc.eco ? { eco: gameDoc.eco, name: gameDoc.openingName } : null,
+    takebacks: gameDoc.takebacks,
+    timeControl: gameDoc.timeControl,
+    clock: gameDoc.clock ? clockService.getSnapshot(gameDoc.clock) : null,
+    ...extra
+});
+
+// Spectators have their own room so that they can be sent a delayed state
+const spectatorRoom = (gameId) => `spectate:${gameId}`;
+
+/**
+ * Number of sockets watching a game.
+ * @param {string} gameId
+ * @returns {number}
+ */
+const getSpectatorCount = (gameId) => {
+    const room = ioInstance && ioInstance.sockets.adapter.rooms.get(spectatorRoom(gameId));
+    return room ? room.size : 0;
+};
+
+/**
+ * Plies of a game spectators may see: all but the last `broadcastDelay` while
+ * it is being played.
+ * @param {Game} gameDoc
+ * @returns {number}
+ */
+const getSpectatorPlies = (gameDoc) => {
+    const delay = gameDoc.status === 'playing' ? gameDoc.broadcastDelay || 0 : 0;
+    return Math.max(gameDoc.moves.length - delay, 0);
+};
+
+/**
+ * Game state as shown to spectators: while the game is being played it is
+ * `broadcastDelay` plies behind, without the clock or draw offers.
+ * @param {Game} gameDoc
+ * @returns {object}
+ */
+const buildSpectatorState = (gameDoc) => {
+    const state = buildGameState(gameDoc, { spectators: getSpectatorCount(gameDoc.gameId), delayedPlies: 0 });
+    const shownPlies = getSpectatorPlies(gameDoc);
+    if (shownPlies === gameDoc.moves.length) {
+        return state;
+    }
+
+    const chess = startingPosition(gameDoc);
+    for (const move of gameDoc.moves.slice(0, shownPlies)) {
+        chess.move(move);
+    }
+    return {
+        ...state,
+        fen: chess.fen(),
+        pgn: chess.pgn(),
+        moves: gameDoc.moves.slice(0, shownPlies),
+        sanMoves: state.sanMoves.slice(0, shownPlies),
+        opening: null, // Could give away moves not shown yet
+        drawOffer: null,
+        clock: null,
+        delayedPlies: gameDoc.moves.length - shownPlies
+    };
+};
+
+/**
+ * Sends a game's new state to its players and, unless the game is private,
+ * to its spectators.
+ * @param {Game} gameDoc
+ * @param {object} [extra] - Additional fields for the players (e.g. aiMove, lastMove)
+ */
+const broadcastGameState = (gameDoc, extra = {}) => {
+    emitToGame(gameDoc.gameId, 'gameStateUpdate', buildGameState(gameDoc, extra));
+    if (ioInstance && gameDoc.visibility !== 'private') {
+        ioInstance.to(spectatorRoom(gameDoc.gameId)).emit('gameStateUpdate', buildSpectatorState(gameDoc));
+    }
+};
+
+/**
+ * Tells the players and spectators of a game how many people are watching.
+ * @param {string} gameId
+ */
+const notifySpectatorCount = (gameId) => {
+    if (ioInstance) {
+        ioInstance.to(gameId).to(spectatorRoom(gameId)).emit('spectatorCount', { gameId, count: getSpectatorCount(gameId) });
+    }
+};
+
+// 'w'/'b' as used by chess.js -> 'white'/'black' as used by the Game model
+const colorName = (turn) => (turn === 'w' ? 'white' : 'black');
+
+/**
+ * Marks a game as finished and releases its in-memory resources
+ * (clock timer, engine, Chess instance). The caller saves the document.
+ * @param {string} gameId
+ * @param {Game} gameDoc
+ * @param {string} result - '1-0', '0-1', '1/2-1/2' or '*'
+ * @param {string} termination - How the game ended (see the Game schema)
+ */
+const concludeGame = (gameId, gameDoc, result, termination) => {
+    gameDoc.status = 'finished';
+    gameDoc.result = result;
+    gameDoc.termination = termination;
+    gameDoc.drawOffer = null;
+    if (gameDoc.clock) {
+        clockService.stopClock(gameDoc.clock);
+    }
+    clockService.clearFlag(gameId);
+    stockfishService.terminateEngine(gameId);
+    activeGames.delete(gameId);
+    notifyGameEnded(gameId);
+    logger.info(`Game ${gameId} finished. Result: ${result} (${termination})`);
+    statsService.invalidateGameStats(gameDoc);
+
+    if (gameDoc.rated) {
+        ratingService.applyGameResult(gameDoc)
+            .then((update) => update && emitToGame(gameId, 'ratingUpdate', { gameId, ...update }))
+            .catch((error) => logger.error(`Failed to update rating for game ${gameId}: ${error.message}`));
+    }
+    if (gameDoc.adaptive) {
+        adaptiveService.applyGameResult(gameDoc)
+            .then((update) => update && emitToGame(gameId, 'adaptiveUpdate', { gameId, ...update }))
+            .catch((error) => logger.error(`Failed to adjust adaptive strength for game ${gameId}: ${error.message}`));
+    }
+};
+
+/**
+ * Sets the game's opening to the deepest named line its moves reach. The
+ * opening is kept once the game leaves the book; games from a custom starting
+ * position have none.
+ * @param {Game} gameDoc
+ */
+const updateOpening = (gameDoc) => {
+    if (gameDoc.startFen) {
+        return;
+    }
+    const opening = classifyOpening(gameDoc.moves);
+    gameDoc.eco = opening ? opening.eco : null;
+    gameDoc.openingName = opening ? opening.name : null;
+};
+
+/**
+ * Stops the clock of the side that just moved and records its remaining time.
+ * No-op for untimed games.
+ * @param {Game} gameDoc
+ * @param {string} color - 'white' or 'black'
+ * @returns {boolean} - Whether the mover had already run out of time
+ */
+const pressClock = (gameDoc, color) => {
+    if (!gameDoc.clock) {
+        return false;
+    }
+    const { remaining, flagged } = clockService.punchClock(gameDoc.clock, gameDoc.timeControl, color);
+    gameDoc.clockHistory.push(remaining);
+    return flagged;
+};
+
+/**
+ * Result when `flaggedColor` runs out of time: a loss, unless the opponent
+ * could not possibly checkmate, in which case it is a draw.
+ * @param {Chess} chess
+ * @param {string} flaggedColor - 'white' or 'black'
+ * @returns {string}
+ */
+const getTimeoutResult = (chess, flaggedColor) => {
+    const opponent = flaggedColor === 'white' ? 'b' : 'w';
+    if (!hasMatingMaterial(chess, opponent)) {
+        return '1/2-1/2';
+    }
+    return flaggedColor === 'white' ? '0-1' : '1-0';
+};
+
+/**
+ * Runs actions on a game one at a time, in the order they arrive. Actions load
+ * the game, may wait on the engine and then save it, so without this a resign
+ * or draw landing during a move's engine search would be overwritten by the
+ * move's save. Actions must not queue further actions on the same game.
+ * @param {string} gameId
+ * @param {Function} action - Async function to run once earlier actions have finished
+ * @returns {Promise<*>} - The action's result
+ */
+const runExclusive = (gameId, action) => {
+    const previous = gameQueues.get(gameId) || Promise.resolve();
+    const run = previous.then(() => action());
+    const settled = run.catch(() => {});
+    gameQueues.set(gameId, settled);
+    settled.then(() => {
+        if (gameQueues.get(gameId) === settled) {
+            gameQueues.delete(gameId);
+        }
+    });
+    return run;
+};
+
+// Wraps a game action taking (gameId, ...args) so that it runs through runExclusive
+const exclusive = (action) => (gameId, ...args) => runExclusive(gameId, () => action(gameId, ...args));
+
+/**
+ * Arms the server-side flag timer for the side whose clock is running.
+ * @param {Game} gameDoc
+ */
+const armFlagTimer = (gameDoc) => {
+    if (!gameDoc.clock || !gameDoc.clock.running || gameDoc.status !== 'playing') {
+        return;
+    }
+    const { gameId } = gameDoc;
+    const remaining = clockService.getRemaining(gameDoc.clock, gameDoc.clock.running);
+    clockService.scheduleFlag(gameId, remaining, () => {
+        runExclusive(gameId, () => handleFlag(gameId)).catch((error) => {
+            logger.error(`Error handling flag for game ${gameId}: ${error.message}`);
+        });
+    });
+};
+
+/**
+ * Ends a game on time if the side to move has run out. Called by the flag
+ * timer, so it works even when no request arrives for the game.
+ * @param {string} gameId
+ * @returns {Promise<boolean>} - Whether the game was ended on time
+ */
+const handleFlag = async (gameId) => {
+    const gameDoc = await Game.findOne({ gameId });
+    if (!gameDoc || gameDoc.status !== 'playing' || !gameDoc.clock || !gameDoc.clock.running) {
+        return false;
+    }
+
+    const flaggedColor = gameDoc.clock.running;
+    if (clockService.getRemaining(gameDoc.clock, flaggedColor) > 0) {
+        // Fired early or the clock changed meanwhile; wait for the real flag fall
+        armFlagTimer(gameDoc);
+        return false;
+    }
+
+    const gameData = activeGames.get(gameId);
+    const chess = gameData ? gameData.chessInstance : new Chess(gameDoc.fen);
+    const result = getTimeoutResult(chess, flaggedColor);
+
+    logger.info(`Game ${gameId}: ${flaggedColor} ran out of time.`);
+    concludeGame(gameId, gameDoc, result, 'timeout');
+    await gameDoc.save();
+
+    broadcastGameState(gameDoc, { flagged: flaggedColor });
+    return true;
+};
+
+// Convert Stockfish evaluation to a single integer (Centipawns)
+// Positive = Advantage for side to move.
+const getCpValue = (evaluation) => {
+    if (evaluation.type === 'cp') return evaluation.value;
+    if (evaluation.type === 'mate') {
+        // If mate is positive (winning), return huge number. If negative (losing), return small number.
+        // We favor closer mates (Mate in 1 > Mate in 5), so we subtract distance from max.
+        const MATE_VALUE = 10000;
+        const sign = Math.sign(evaluation.value);
+        // Example: Mate in 1 = 10000 - 1 = 9999. Mate in -1 = -9999.
+        if (evaluation.value === 0) return 0; // Should handle checkmate on board separately
+        return sign * (MATE_VALUE - Math.abs(evaluation.value));
+    }
+    return 0;
+};
+
+/**
+ * Chess instance at a game's starting position: its custom `startFen`, or the
+ * standard initial position.
+ * @param {Game} gameDoc
+ * @returns {Chess}
+ */
+const startingPosition = (gameDoc) => (gameDoc.startFen ? new Chess(gameDoc.startFen) : new Chess());
+
+/**
+ * Rebuilds a Chess instance for a stored game by replaying its moves, so that
+ * move history (PGN, repetition detection) survives. Falls back to the stored
+ * FEN if the moves cannot be replayed or do not lead to it.
+ * @param {Game} gameDoc
+ * @returns {Chess}
+ */
+const rebuildChess = (gameDoc) => {
+    const chess = startingPosition(gameDoc);
+    try {
+        for (const move of gameDoc.moves) {
+            chess.move(move);
+        }
+    } catch (error) {
+        logger.warn(`Could not replay moves for game ${gameDoc.gameId} (${error.message}). Restoring from FEN.`);
+        return new Chess(gameDoc.fen);
+    }
+    if (chess.fen() !== gameDoc.fen) {
+        logger.warn(`Replayed moves for game ${gameDoc.gameId} do not match the stored FEN. Restoring from FEN.`);
+        return new Chess(gameDoc.fen);
+    }
+    return chess;
+};
+
+/**
+ * Settings the engine plays a computer game with: the current strength of an
+ * adaptive game, the game's engine snapshot, or its difficulty level for games
+ * from before engine profiles.
+ * @param {Game} gameDoc
+ * @returns {object}
+ */
+const getEngineSettings = (gameDoc) => {
+    if (gameDoc.adaptive) {
+        return getEngineSettingsForElo(gameDoc.adaptive.elo);
+    }
+    return gameDoc.engine ? gameDoc.engine.settings.toObject() : getEngineSettingsForDifficulty(gameDoc.difficulty);
+};
+
+/**
+ * Restores the in-memory state of a 'playing' game that is not in `activeGames`,
+ * e.g. after a server restart: rebuilds the Chess instance, re-initializes the
+ * engine with the stored settings and re-arms the flag timer.
+ * @param {Game} gameDoc
+ * @returns {Promise<object|null>} - The activeGames entry, or null if the game ended while being restored
+ */
+const rehydrateGame = async (gameDoc) => {
+    const { gameId } = gameDoc;
+    const chess = rebuildChess(gameDoc);
+
+    // The game may have ended on the board before the state was lost
+    const boardOutcome = getGameOutcome(chess);
+    if (boardOutcome) {
+        concludeGame(gameId, gameDoc, boardOutcome.result, boardOutcome.termination);
+        await gameDoc.save();
+        return null;
+    }
+    if (await handleFlag(gameId)) {
+        return null;
+    }
+
+    const engineSettings = gameDoc.mode === 'computer' ? getEngineSettings(gameDoc) : null;
+    if (engineSettings) {
+        await stockfishService.initializeEngine(gameId, engineSettings);
+    }
+
+    const entry = {
+        chessInstance: chess,
+        players: gameDoc.players,
+        engineSettings,
+        mode: gameDoc.mode
+    };
+    activeGames.set(gameId, entry);
+    armFlagTimer(gameDoc);
+
+    logger.info(`Game ${gameId} restored from the database (${gameDoc.moves.length} moves).`);
+    return entry;
+};
+
+/**
+ * Returns the in-memory state for an active game, restoring it from the
+ * database if it is still 'playing' but missing from memory.
+ * @param {string} gameId
+ * @returns {Promise<object|null>} - The activeGames entry, or null if the game is not being played
+ */
+const loadActiveGame = async (gameId) => {
+    if (activeGames.has(gameId)) {
+        return activeGames.get(gameId);
+    }
+    // Concurrent requests for the same game share one recovery
+    if (pendingRecoveries.has(gameId)) {
+        return pendingRecoveries.get(gameId);
+    }
+
+    const recovery = (async () => {
+        const gameDoc = await Game.findOne({ gameId });
+        if (!gameDoc || gameDoc.status !== 'playing') {
+            return null;
+        }
+        return rehydrateGame(gameDoc);
+    })();
+
+    pendingRecoveries.set(gameId, recovery);
+    try {
+        return await recovery;
+    } finally {
+        pendingRecoveries.delete(gameId);
+    }
+};
+
 /**
  * Creates a new chess game.
  * @param {string} userId - The ID of the authenticated user.
- * @param {number} difficulty - Difficulty level for AI (1-10)
+ * @param {number|null} difficulty - Difficulty level for AI (1-10), null when playing against a profile
  * @param {string} playerColor - 'white' or 'black' for human player
+ * @param {object} [options]
+ * @param {object} [options.engine] - Engine snapshot (see engineProfileService.resolveGameEngine); defaults to the difficulty level
+ * @param {object|null} [options.adaptive] - Strength of an adaptive game (see adaptiveService.resolveAdaptiveEngine)
+ * @param {object|null} [options.timeControl] - Parsed time control (see config/timeControlConfig), null for untimed
+ * @param {string|null} [options.startFen] - Validated starting position (see utils/chessRules), null for the standard one
+ * @param {number|null} [options.takebackLimit] - Takebacks the player may use, null for unlimited
+ * @param {number|null} [options.hintLimit] - Positions the player may ask a hint for, null for unlimited
+ * @param {boolean} [options.rated=false] - Whether the result changes the player's rating; rated games allow no takebacks or hints
+ * @param {string} [options.visibility='private'] - Who may watch (see config/broadcastConfig)
+ * @param {number} [options.broadcastDelay=0] - Plies spectators are kept behind
  * @returns {Promise<Game>} - The newly created game document
  */
-const createGame = async (userId, difficulty, playerColor) => {
+const createGame = async (userId, difficulty, playerColor, {
+    rated = false,
+    timeControl = null,
+    startFen = null,
+    takebackLimit = null,
+    hintLimit = DEFAULT_HINT_LIMIT,
+    visibility = 'private',
+    broadcastDelay = 0,
+    engine = { profileId: null, name: `Level ${difficulty}`, private: false, settings: getEngineSettingsForDifficulty(difficulty) },
+    adaptive = null
+} = {}) => {
     const gameId = uuidv4();
-    const chess = new Chess();
+    const chess = startFen ? new Chess(startFen) : new Chess();
     const computerColor = playerColor === 'white' ? 'black' : 'white';
 
     const gameData = {
         gameId,
         userId: userId,
+        mode: 'computer',
         players: {
             // Store the actual userId for the human and a string for the AI
             white: playerColor === 'white' ? 'Human' : 'Computer', 
             black: playerColor === 'black' ? 'Human' : 'Computer'
         },
+        playerIds: {
+            white: playerColor === 'white' ? userId : null,
+            black: playerColor === 'black' ? userId : null
+        },
         humanColor: playerColor,
         difficulty: difficulty,
+        engine,
+        adaptive,
+        rated,
+        visibility,
+        broadcastDelay,
+        timeControl,
+        clock: timeControl ? clockService.createClock(timeControl) : null,
+        startFen,
+        takebacks: { limit: rated ? 0 : takebackLimit, used: 0 },
+        hints: { limit: rated ? 0 : hintLimit, used: 0, positions: [] },
         fen: chess.fen(),
         pgn: chess.pgn(),
         moves: [],
@@ -45,38 +530,33 @@ const createGame = async (userId, difficulty, playerColor) => {
     activeGames.set(gameId, {
         chessInstance: chess,
         players: gameData.players,
-        difficulty: difficulty
+        engineSettings: engine.settings,
+        mode: 'computer'
     });
 
-    logger.info(`New game created: ${gameId} (Difficulty: ${difficulty}, Player Color: ${playerColor}, User: ${userId})`);
+    logger.info(`New game created: ${gameId} (Engine: ${engine.name}, Player Color: ${playerColor}, ${rated ? 'Rated' : 'Casual'}, User: ${userId})`);
 
-    await stockfishService.initializeEngine(gameId, difficulty);
+    await stockfishService.initializeEngine(gameId, engine.settings);
 
     let aiMove = null;
-    // The computer makes the first move if the human is playing black
-    if (playerColor === 'black') {
-        logger.info(`Computer (White) making first move for game ${gameId}...`);
-        const { bestMove: computerMove } = await stockfishService.getBestMove(gameId, chess.fen(), difficulty);
+    // The computer makes the first move if it is the side to move in the starting position
+    if (chess.turn() === computerColor[0]) {
+        logger.info(`Computer (${computerColor}) making first move for game ${gameId}...`);
+        const { bestMove: computerMove } = await stockfishService.getBestMove(gameId, chess.fen());
         if (computerMove) {
-            chess.move(computerMove);
-            newGame.moves.push(computerMove);
+            const played = playMove(chess, computerMove);
+            newGame.moves.push(played.lan);
             newGame.fen = chess.fen();
             newGame.pgn = chess.pgn();
+            updateOpening(newGame);
+            pressClock(newGame, computerColor);
             await newGame.save();
-            aiMove = computerMove;
-            logger.info(`Computer played: ${aiMove} for game ${gameId}`);
+            armFlagTimer(newGame);
+            aiMove = toMoveNotation(played);
+            logger.info(`Computer played: ${aiMove.uci} for game ${gameId}`);
 
             // Broadcast AI's first move
-            if (ioInstance) {
-                ioInstance.to(gameId).emit('gameStateUpdate', {
-                    fen: newGame.fen,
-                    pgn: newGame.pgn,
-                    moves: newGame.moves,
-                    status: newGame.status,
-                    aiMove: aiMove,
-                    result: newGame.result
-                });
-            }
+            broadcastGameState(newGame, { aiMove });
         } else {
             logger.error(`Stockfish failed to make a first move for game ${gameId}`);
             // The terminateGame service function here for clean up
@@ -92,81 +572,335 @@ const createGame = async (userId, difficulty, playerColor) => {
 };
 
 /**
- * Retrieves game history for a specific user.
+ * Mongo conditions for the history filters (see utils/historyQuery).
+ * @param {string} userId
+ * @param {object} filters
+ * @returns {Array<object>} - To be combined with $and
+ */
+const buildHistoryConditions = (userId, filters) => {
+    const conditions = [];
+    // The user's seat; imported games have none, so colour and win/loss filters leave them out
+    const seats = filters.color ? [filters.color] : ['white', 'black'];
+
+    if (filters.result === 'draw') {
+        conditions.push({ result: '1/2-1/2' });
+    } else if (filters.result) {
+        const wonBy = { white: '1-0', black: '0-1' };
+        conditions.push({
+            $or: seats.map((color) => ({
+                [`playerIds.${color}`]: userId,
+                result: filters.result === 'win' ? wonBy[color] : wonBy[color === 'white' ? 'black' : 'white']
+            }))
+        });
+    }
+    if (filters.color) {
+        conditions.push({ [`playerIds.${filters.color}`]: userId });
+    }
+    if (filters.minDifficulty !== undefined || filters.maxDifficulty !== undefined) {
+        conditions.push({ difficulty: { $gte: filters.minDifficulty || 1, $lte: filters.maxDifficulty || 10 } });
+    }
+    if (filters.from || filters.to) {
+        conditions.push({ updatedAt: { ...(filters.from ? { $gte: filters.from } : {}), ...(filters.to ? { $lte: filters.to } : {}) } });
+    }
+    if (filters.eco) {
+        conditions.push({ eco: filters.eco.length === 3 ? filters.eco : new RegExp(`^${filters.eco}`) });
+    }
+    if (filters.opening) {
+        const escaped = filters.opening.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        conditions.push({ openingName: new RegExp(escaped, 'i') });
+    }
+    if (filters.analysed !== undefined) {
+        conditions.push({ 'analysis.0': { $exists: filters.analysed } });
+    }
+    if (filters.termination) {
+        conditions.push({ termination: { $in: filters.termination } });
+    }
+    return conditions;
+};
+
+/**
+ * Retrieves a page of a user's finished games.
  * @param {string} userId - The ID of the authenticated user.
- * @returns {Promise<Array<Game>>} - List of game documents
+ * @param {object} [options] - As parsed by utils/historyQuery
+ * @param {object} [options.filters] - result, color, minDifficulty, maxDifficulty, from, to, eco, opening, analysed, termination
+ * @param {{field: string, order: string}} [options.sort] - updatedAt or createdAt, desc or asc
+ * @param {number} [options.limit=20]
+ * @param {{value: Date, id: string}|null} [options.cursor] - Position after the previous page
+ * @returns {Promise<{games: Array<Game>, nextCursor: string|null}>} - nextCursor is null on the last page
  */
-const getGameHistory = async (userId) => {
-    // Only fetch essential fields for a list view
-    return Game.find({ userId: userId, status: { $in: ['finished', 'analyzing', 'terminated'] } })
-        .sort({ updatedAt: -1 }) // Sort by last update time (most recent first)
-        .select('gameId status result difficulty humanColor createdAt updatedAt'); 
+const getGameHistory = async (userId, {
+    filters = {},
+    sort = { field: 'updatedAt', order: 'desc' },
+    limit = 20,
+    cursor = null
+} = {}) => {
+    const conditions = buildHistoryConditions(userId, filters);
+    if (cursor) {
+        // Games after the cursor in sort order; _id breaks ties between equal dates
+        const after = sort.order === 'desc' ? '$lt' : '$gt';
+        conditions.push({
+            $or: [
+                { [sort.field]: { [after]: cursor.value } },
+                { [sort.field]: cursor.value, _id: { [after]: cursor.id } }
+            ]
+        });
+    }
+
+    // The seat conditions stay at the top level so each branch can use its (seat, status, updatedAt) index
+    const query = {
+        $or: [{ userId: userId }, { 'playerIds.white': userId }, { 'playerIds.black': userId }],
+        status: { $in: ['finished', 'analyzing', 'terminated'] },
+        ...(conditions.length > 0 ? { $and: conditions } : {})
+    };
+    const direction = sort.order === 'desc' ? -1 : 1;
+
+    // Only fetch essential fields for a list view; one extra game tells whether there is a next page
+    const games = await Game.find(query)
+        .sort({ [sort.field]: direction, _id: direction })
+        .limit(limit + 1)
+        .select('gameId mode players status result termination difficulty engine.profileId engine.name adaptive.startElo adaptive.elo rated humanColor timeControl takebacks hints.limit hints.used eco openingName analysisSummary.accuracy createdAt updatedAt');
+
+    const hasMore = games.length > limit;
+    const page = hasMore ? games.slice(0, limit) : games;
+    return {
+        games: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+    };
+};
+
+/**
+ * Registers a human-vs-human game that has both seats filled as active.
+ * @param {Game} gameDoc
+ */
+const activateHumanGame = (gameDoc) => {
+    activeGames.set(gameDoc.gameId, {
+        chessInstance: new Chess(gameDoc.fen),
+        players: gameDoc.players,
+        engineSettings: null,
+        mode: 'human'
+    });
+};
+
+/**
+ * Creates a human-vs-human challenge that waits in the 'waiting' state
+ * until a second user joins it.
+ * @param {string} userId - The ID of the challenging user.
+ * @param {object} options
+ * @param {string} [options.color='random'] - 'white', 'black' or 'random'
+ * @param {object|null} [options.timeControl] - Parsed time control, null for untimed
+ * @param {string} [options.visibility='public'] - Who may watch (see config/broadcastConfig)
+ * @param {number} [options.broadcastDelay=0] - Plies spectators are kept behind
+ * @returns {Promise<{game: Game, color: string}>}
+ */
+const createChallenge = async (userId, { color = 'random', timeControl = null, visibility = 'public', broadcastDelay = 0 } = {}) => {
+    const user = await User.findById(userId).select('username');
+    if (!user) {
+        throw new Error('User not found.');
+    }
+
+    const challengerColor = color === 'random' ? (Math.random() < 0.5 ? 'white' : 'black') : color;
+    const chess = new Chess();
+
+    const newGame = new Game({
+        gameId: uuidv4(),
+        userId: user._id,
+        mode: 'human',
+        players: {
+            white: challengerColor === 'white' ? user.username : null,
+            black: challengerColor === 'black' ? user.username : null
+        },
+        playerIds: {
+            white: challengerColor === 'white' ? user._id : null,
+            black: challengerColor === 'black' ? user._id : null
+        },
+        visibility,
+        broadcastDelay,
+        timeControl,
+        clock: timeControl ? clockService.createClock(timeControl) : null,
+        fen: chess.fen(),
+        pgn: chess.pgn(),
+        moves: [],
+        status: 'waiting'
+    });
+    await newGame.save();
+
+    logger.info(`Challenge created: ${newGame.gameId} (User: ${user.username} as ${challengerColor}, Time control: ${timeControl ? timeControl.label : 'none'})`);
+
+    return { game: newGame.toObject(), color: challengerColor };
+};
+
+/**
+ * Seats a second user in a waiting challenge and starts the game.
+ * @param {string} gameId
+ * @param {string} userId - The ID of the joining user.
+ * @returns {Promise<{game: Game, color: string}>}
+ */
+const joinGame = async (gameId, userId) => {
+    const user = await User.findById(userId).select('username');
+    if (!user) {
+        throw new Error('User not found.');
+    }
+
+    const waitingGame = await Game.findOne({ gameId });
+    if (!waitingGame) {
+        throw new Error('Game not found.');
+    }
+    if (waitingGame.mode !== 'human' || waitingGame.status !== 'waiting') {
+        throw new Error('Game is not open for joining.');
+    }
+    if (waitingGame.userId.toString() === user._id.toString()) {
+        throw new Error('You cannot join your own challenge.');
+    }
+
+    const openColor = waitingGame.playerIds.white ? 'black' : 'white';
+
+    // Conditional update so two users racing for the same seat cannot both win it
+    const gameDoc = await Game.findOneAndUpdate(
+        { gameId, status: 'waiting', [`playerIds.${openColor}`]: null },
+        {
+            $set: {
+                status: 'playing',
+                [`players.${openColor}`]: user.username,
+                [`playerIds.${openColor}`]: user._id,
+                updatedAt: Date.now()
+            }
+        },
+        { new: true }
+    );
+    if (!gameDoc) {
+        throw new Error('Game is not open for joining.');
+    }
+
+    activateHumanGame(gameDoc);
+    logger.info(`User ${user.username} joined game ${gameId} as ${openColor}`);
+
+    emitToGame(gameId, 'playerJoined', { gameId, color: openColor, username: user.username });
+    broadcastGameState(gameDoc);
+
+    return { game: gameDoc.toObject(), color: openColor };
+};
+
+/**
+ * Creates a human-vs-human game between two users paired by matchmaking.
+ * @param {string} whiteUserId
+ * @param {string} blackUserId
+ * @param {object|null} timeControl - Parsed time control, null for untimed
+ * @returns {Promise<Game>}
+ */
+const createMatchedGame = async (whiteUserId, blackUserId, timeControl) => {
+    const [white, black] = await Promise.all([
+        User.findById(whiteUserId).select('username'),
+        User.findById(blackUserId).select('username')
+    ]);
+    if (!white || !black) {
+        throw new Error('User not found.');
+    }
+
+    const chess = new Chess();
+    const newGame = new Game({
+        gameId: uuidv4(),
+        userId: white._id,
+        mode: 'human',
+        players: { white: white.username, black: black.username },
+        playerIds: { white: white._id, black: black._id },
+        visibility: 'public', // Like a lobby game, anyone may watch
+        timeControl,
+        clock: timeControl ? clockService.createClock(timeControl) : null,
+        fen: chess.fen(),
+        pgn: chess.pgn(),
+        moves: [],
+        status: 'playing'
+    });
+    await newGame.save();
+
+    activateHumanGame(newGame);
+    logger.info(`Matched game created: ${newGame.gameId} (${white.username} vs ${black.username}, Time control: ${timeControl ? timeControl.label : 'none'})`);
+
+    return newGame.toObject();
 };
 
 /**
  * Makes a player's move.
  * @param {string} gameId
- * @param {string} move - UCI move string (e.g., 'e2e4')
- * @returns {Promise<{game: Game, aiMove: string|null, status: string}>}
+ * @param {string|object} move - UCI ('e2e4', 'e7e8q'), SAN ('Nf3') or { from, to, promotion } (see utils/moveParser)
+ * @param {string} userId - The ID of the authenticated user making the move.
+ * @returns {Promise<{game: Game, lastMove: {uci: string, san: string}, aiMove: {uci: string, san: string}|null, status: string}>}
  */
-const makeMove = async (gameId, move) => {
-    const gameData = activeGames.get(gameId);
+const makeMove = async (gameId, move, userId) => {
+    const gameData = await loadActiveGame(gameId);
     if (!gameData) {
         throw new Error('Game not found or has ended.');
     }
 
-    const { chessInstance, players, difficulty } = gameData;
+    const { chessInstance, players, mode } = gameData;
     const gameDoc = await Game.findOne({ gameId });
 
     if (!gameDoc || gameDoc.status !== 'playing') {
         throw new Error('Game is not active or has ended.');
     }
 
-    const humanPlayerColor = players.white === 'Human' ? 'w' : 'b';
-    if (humanPlayerColor !== chessInstance.turn()) {
-        throw new Error(`It's not the human's turn. Current turn: ${chessInstance.turn()}`);
+    const sideToMove = colorName(chessInstance.turn());
+    if (mode === 'computer') {
+        const humanPlayerColor = players.white === 'Human' ? 'w' : 'b';
+        if (humanPlayerColor !== chessInstance.turn()) {
+            throw new Error(`It's not the human's turn. Current turn: ${chessInstance.turn()}`);
+        }
+    }
+
+    // The authenticated user must own the side to move
+    const sideOwnerId = mode === 'computer' ? gameDoc.userId : gameDoc.playerIds[sideToMove];
+    if (!sideOwnerId || sideOwnerId.toString() !== String(userId)) {
+        throw new Error(`It is not your turn. ${sideToMove} is to move.`);
+    }
+
+    // A move arriving after the flag fell loses on time instead of being played
+    if (gameDoc.clock && clockService.getRemaining(gameDoc.clock, sideToMove) <= 0) {
+        await handleFlag(gameId);
+        throw new Error('Time has run out.');
     }
 
     try {
-        const result = chessInstance.move(move);
-        if (result === null) {
-            throw new Error('Invalid move.');
+        const result = playMove(chessInstance, move);
+        const lastMove = toMoveNotation(result);
+
+        // The flag may have fallen since the check above; the move is then not played
+        if (pressClock(gameDoc, sideToMove)) {
+            chessInstance.undo();
+            await handleFlag(gameId);
+            throw new Error('Time has run out.');
         }
 
-        gameDoc.moves.push(move);
+        gameDoc.moves.push(result.lan); // Stored as UCI, whatever notation it was sent in
         gameDoc.fen = chessInstance.fen();
         gameDoc.pgn = chessInstance.pgn();
+        gameDoc.drawOffer = null; // Moving lets any draw offer lapse
 
         let aiMove = null;
-        let gameStatus = 'playing';
-        let gameResult = '*';
-
-        if (chessInstance.isGameOver()) {
-            gameStatus = 'finished';
-            if (chessInstance.isCheckmate()) {
-                gameResult = chessInstance.turn() === 'w' ? '0-1' : '1-0';
-            } else if (chessInstance.isDraw()) {
-                gameResult = '1/2-1/2';
-            }
-            gameDoc.status = gameStatus;
-            gameDoc.result = gameResult;
-            logger.info(`Game ${gameId} finished. Result: ${gameResult}`);
-            stockfishService.terminateEngine(gameId);
-            activeGames.delete(gameId);
+        let outcome = getGameOutcome(chessInstance);
+
+        if (outcome) {
+            concludeGame(gameId, gameDoc, outcome.result, outcome.termination);
         } else {
             // If game not over, and it's AI's turn, get AI move
-            if (players.white === 'Computer' && chessInstance.turn() === 'w' ||
-                players.black === 'Computer' && chessInstance.turn() === 'b') {
+            const aiColor = colorName(chessInstance.turn());
+            if (mode === 'computer' && players[aiColor] === 'Computer') {
                 logger.info(`Computer making move for game ${gameId}...`);
-                const { bestMove: computerMove } = await stockfishService.getBestMove(gameId, chessInstance.fen(), difficulty);
+                const { bestMove: computerMove, evaluation } = await stockfishService.getBestMove(gameId, chessInstance.fen());
                 if (computerMove) {
-                    const aiResult = chessInstance.move(computerMove);
+                    const aiResult = playMove(chessInstance, computerMove);
                     if (aiResult) {
-                        gameDoc.moves.push(computerMove);
+                        gameDoc.moves.push(aiResult.lan);
                         gameDoc.fen = chessInstance.fen();
                         gameDoc.pgn = chessInstance.pgn();
-                        aiMove = computerMove;
-                        logger.info(`Computer played: ${aiMove} for game ${gameId}`);
+                        aiMove = toMoveNotation(aiResult);
+                        logger.info(`Computer played: ${aiMove.uci} for game ${gameId}`);
+
+                        // Adaptive games may retune the engine to how the game is going
+                        const adjusted = gameDoc.adaptive && gameDoc.adaptive.inGame && adaptiveService.adjustInGame(gameDoc, evaluation);
+                        if (adjusted) {
+                            gameData.engineSettings = adjusted;
+                            stockfishService.updateEngineSettings(gameId, adjusted);
+                        }
                     } else {
                         logger.error(`Stockfish generated an invalid move: ${computerMove} for FEN: ${chessInstance.fen()}`);
                         throw new Error("AI generated an invalid move.");
@@ -176,40 +910,33 @@ const makeMove = async (gameId, move) => {
                     throw new Error("AI failed to make a move.");
                 }
 
-                if (chessInstance.isGameOver()) {
-                    gameStatus = 'finished';
-                    if (chessInstance.isCheckmate()) {
-                        gameResult = chessInstance.turn() === 'w' ? '0-1' : '1-0';
-                    } else if (chessInstance.isDraw()) {
-                        gameResult = '1/2-1/2';
-                    }
-                    gameDoc.status = gameStatus;
-                    gameDoc.result = gameResult;
-                    logger.info(`Game ${gameId} finished. Result: ${gameResult}`);
-                    stockfishService.terminateEngine(gameId);
-                    activeGames.delete(gameId);
+                if (pressClock(gameDoc, aiColor)) {
+                    logger.info(`Game ${gameId}: the computer (${aiColor}) ran out of time.`);
+                    outcome = { result: getTimeoutResult(chessInstance, aiColor), termination: 'timeout' };
+                } else {
+                    outcome = getGameOutcome(chessInstance);
+                }
+                if (outcome) {
+                    concludeGame(gameId, gameDoc, outcome.result, outcome.termination);
                 }
             }
         }
 
+        updateOpening(gameDoc);
         await gameDoc.save();
+        armFlagTimer(gameDoc);
 
         // Broadcast game state update
-        if (ioInstance) {
-            ioInstance.to(gameId).emit('gameStateUpdate', {
-                fen: gameDoc.fen,
-                pgn: gameDoc.pgn,
-                moves: gameDoc.moves,
-                status: gameStatus,
-                aiMove: aiMove,
-                result: gameResult
-            });
-        }
+        broadcastGameState(gameDoc, {
+            lastMove,
+            aiMove: aiMove
+        });
 
         return {
             game: gameDoc.toObject(),
+            lastMove,
             aiMove,
-            status: gameStatus
+            status: gameDoc.status
         };
 
     } catch (error) {
@@ -219,11 +946,322 @@ const makeMove = async (gameId, move) => {
 };
 
 /**
- * Analyzes a completed game and stores the analysis.
+ * Side a user plays in a game, or null if they are not a participant.
+ * @param {Game} gameDoc
+ * @param {string} userId
+ * @returns {string|null} - 'white' or 'black'
+ */
+const getPlayerColor = (gameDoc, userId) => {
+    if (gameDoc.mode === 'computer') {
+        if (gameDoc.userId.toString() !== String(userId)) {
+            return null;
+        }
+        return gameDoc.players.white === 'Human' ? 'white' : 'black';
+    }
+    if (gameDoc.playerIds.white && gameDoc.playerIds.white.toString() === String(userId)) {
+        return 'white';
+    }
+    if (gameDoc.playerIds.black && gameDoc.playerIds.black.toString() === String(userId)) {
+        return 'black';
+    }
+    return null;
+};
+
+/**
+ * Checks that a user may see a game: its participants always, other users only
+ * games that are not private.
+ * @param {Game} gameDoc
+ * @param {string} userId
+ * @returns {boolean} - Whether the user takes part in the game: a player, or the user who imported it
+ * @throws {Error} 'This game is private.' otherwise
+ */
+const checkGameAccess = (gameDoc, userId) => {
+    const participant = Boolean(getPlayerColor(gameDoc, userId)) || gameDoc.userId.toString() === String(userId);
+    if (!participant && gameDoc.visibility === 'private') {
+        throw new Error('This game is private.');
+    }
+    return participant;
+};
+
+/**
+ * Loads a game that is being played, for an action by one of its players.
+ * @param {string} gameId
+ * @param {string} userId
+ * @returns {Promise<{gameDoc: Game, gameData: object, color: string}>}
+ */
+const loadGameForPlayer = async (gameId, userId) => {
+    const gameData = await loadActiveGame(gameId);
+    const gameDoc = await Game.findOne({ gameId });
+    if (!gameData || !gameDoc || gameDoc.status !== 'playing') {
+        throw new Error('Game is not active or has ended.');
+    }
+    const color = getPlayerColor(gameDoc, userId);
+    if (!color) {
+        throw new Error('You are not a player in this game.');
+    }
+    return { gameDoc, gameData, color };
+};
+
+/**
+ * Ends a game, saves it and broadcasts the final state.
+ * @param {Game} gameDoc
+ * @param {string} result
+ * @param {string} termination
+ * @returns {Promise<Game>}
+ */
+const finishGame = async (gameDoc, result, termination) => {
+    concludeGame(gameDoc.gameId, gameDoc, result, termination);
+    await gameDoc.save();
+    broadcastGameState(gameDoc);
+    return gameDoc.toObject();
+};
+
+/**
+ * Resigns the game on behalf of a player.
+ * @param {string} gameId
+ * @param {string} userId - The ID of the resigning user.
+ * @returns {Promise<Game>}
+ */
+const resignGame = async (gameId, userId) => {
+    const { gameDoc, color } = await loadGameForPlayer(gameId, userId);
+    logger.info(`Game ${gameId}: ${color} resigned.`);
+    return finishGame(gameDoc, color === 'white' ? '0-1' : '1-0', 'resignation');
+};
+
+/**
+ * Whether the engine accepts a draw in the current position. It accepts when
+ * its evaluation is no better than minus its settings' contempt, so weak
+ * levels (negative contempt) accept slightly better positions and strong levels
+ * only accept when they stand worse.
+ * @param {string} gameId
+ * @param {object} gameData - The game's activeGames entry
+ * @returns {Promise<boolean>}
+ */
+const engineAcceptsDraw = async (gameId, { chessInstance, players, engineSettings }) => {
+    const { evaluation } = await stockfishService.getBestMove(gameId, chessInstance.fen(), { deliberateErrors: false });
+    // The evaluation is from the side to move's point of view; turn it into the engine's
+    const engineToMove = players[colorName(chessInstance.turn())] === 'Computer';
+    const engineCp = engineToMove ? getCpValue(evaluation) : -getCpValue(evaluation);
+    return engineCp <= -engineSettings.contempt;
+};
+
+/**
+ * Offers a draw. In computer games the engine answers immediately; in
+ * human-vs-human games the offer stays pending until the opponent responds
+ * or a move is made.
+ * @param {string} gameId
+ * @param {string} userId - The ID of the offering user.
+ * @returns {Promise<{accepted: boolean|null, game: Game}>} - accepted is null while the offer is pending
+ */
+const offerDraw = async (gameId, userId) => {
+    const { gameDoc, gameData, color } = await loadGameForPlayer(gameId, userId);
+    const ply = gameDoc.moves.length;
+
+    if (gameDoc.drawOffer && gameDoc.drawOffer.ply === ply) {
+        if (gameDoc.drawOffer.by === color) {
+            throw new Error('You have already offered a draw in this position.');
+        }
+        if (gameDoc.drawOffer.status === 'pending') {
+            throw new Error('Your opponent has offered a draw. Accept or decline it instead.');
+        }
+    }
+
+    gameDoc.drawOffer = { by: color, ply, status: 'pending' };
+    logger.info(`Game ${gameId}: ${color} offered a draw.`);
+
+    if (gameData.mode === 'computer') {
+        const accepted = await engineAcceptsDraw(gameId, gameData);
+        if (accepted) {
+            logger.info(`Game ${gameId}: the computer accepted the draw offer.`);
+            return { accepted: true, game: await finishGame(gameDoc, '1/2-1/2', 'agreement') };
+        }
+        gameDoc.drawOffer.status = 'declined';
+        await gameDoc.save();
+        emitToGame(gameId, 'drawDeclined', { gameId, by: color === 'white' ? 'black' : 'white' });
+        return { accepted: false, game: gameDoc.toObject() };
+    }
+
+    await gameDoc.save();
+    emitToGame(gameId, 'drawOffered', { gameId, by: color });
+    return { accepted: null, game: gameDoc.toObject() };
+};
+
+/**
+ * Accepts or declines the opponent's pending draw offer.
+ * @param {string} gameId
+ * @param {string} userId - The ID of the responding user.
+ * @param {boolean} accept
+ * @returns {Promise<Game>}
+ */
+const respondToDrawOffer = async (gameId, userId, accept) => {
+    const { gameDoc, color } = await loadGameForPlayer(gameId, userId);
+    const offer = gameDoc.drawOffer;
+
+    if (!offer || offer.status !== 'pending' || offer.ply !== gameDoc.moves.length) {
+        throw new Error('There is no pending draw offer.');
+    }
+    if (offer.by === color) {
+        throw new Error('You cannot respond to your own draw offer.');
+    }
+
+    if (accept) {
+        logger.info(`Game ${gameId}: ${color} accepted the draw offer.`);
+        return finishGame(gameDoc, '1/2-1/2', 'agreement');
+    }
+
+    offer.status = 'declined';
+    await gameDoc.save();
+    emitToGame(gameId, 'drawDeclined', { gameId, by: color });
+    logger.info(`Game ${gameId}: ${color} declined the draw offer.`);
+    return gameDoc.toObject();
+};
+
+/**
+ * Claims a draw by threefold repetition or the fifty-move rule.
  * @param {string} gameId
+ * @param {string} userId - The ID of the claiming user.
+ * @returns {Promise<Game>}
+ */
+const claimDraw = async (gameId, userId) => {
+    const { gameDoc, gameData, color } = await loadGameForPlayer(gameId, userId);
+    const claim = getClaimableDraw(gameData.chessInstance);
+    if (!claim) {
+        throw new Error('No draw can be claimed in this position.');
+    }
+    logger.info(`Game ${gameId}: ${color} claimed a draw (${claim}).`);
+    return finishGame(gameDoc, '1/2-1/2', claim);
+};
+
+/**
+ * Takes back the player's last move in a computer game, together with the
+ * engine's reply, within the game's takeback budget. Time already spent is not
+ * given back.
+ * @param {string} gameId
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<{game: Game, undoneMoves: Array<{uci: string, san: string}>}>} - The player's move, then the engine's reply
+ */
+const takebackMove = async (gameId, userId) => {
+    const { gameDoc, gameData, color } = await loadGameForPlayer(gameId, userId);
+    const chess = gameData.chessInstance;
+
+    if (gameDoc.mode !== 'computer') {
+        throw new Error('Takebacks are only available against the computer.');
+    }
+    if (colorName(chess.turn()) !== color) {
+        throw new Error('The computer is still thinking. Wait for its move before taking back.');
+    }
+    const { limit, used } = gameDoc.takebacks;
+    if (limit !== null && used >= limit) {
+        throw new Error(limit === 0
+            ? 'Takebacks are not allowed in this game.'
+            : `No takebacks left. This game allows ${limit}.`);
+    }
+    // The player is to move, so the last move is the engine's reply to the player's move
+    if (chess.history().length < 2) {
+        throw new Error('There is no move to take back.');
+    }
+    if (gameDoc.clock && clockService.getRemaining(gameDoc.clock, color) <= 0) {
+        await handleFlag(gameId);
+        throw new Error('Time has run out.');
+    }
+
+    const engineReply = chess.undo();
+    const playerMove = chess.undo();
+    const undoneMoves = [toMoveNotation(playerMove), toMoveNotation(engineReply)];
+    gameDoc.moves.splice(-2, 2);
+    if (gameDoc.clockHistory.length > gameDoc.moves.length) {
+        gameDoc.clockHistory.splice(gameDoc.moves.length);
+    }
+    // Hints are stored by ply; the plies undone may be played differently now. Hints used stay counted.
+    gameDoc.hints.positions = gameDoc.hints.positions.filter((entry) => entry.ply < gameDoc.moves.length);
+    gameDoc.fen = chess.fen();
+    gameDoc.pgn = chess.pgn();
+    gameDoc.drawOffer = null;
+    gameDoc.takebacks.used = used + 1;
+    updateOpening(gameDoc);
+    await gameDoc.save();
+
+    logger.info(`Game ${gameId}: ${color} took back ${undoneMoves.map((undone) => undone.uci).join(' ')} (takeback ${used + 1} of ${limit === null ? 'unlimited' : limit}).`);
+    broadcastGameState(gameDoc, { takeback: undoneMoves });
+
+    return { game: gameDoc.toObject(), undoneMoves };
+};
+
+/**
+ * Gives the player a hint from a full-strength search of the current position.
+ * Asking again in the same position reveals more: the piece to move, then its
+ * target square, then the full move with the engine's line. Only the first
+ * hint in a position counts against the game's hint budget.
+ * @param {string} gameId
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<object>} - The hint, at its current level of detail
+ */
+const getHint = async (gameId, userId) => {
+    const { gameDoc, gameData, color } = await loadGameForPlayer(gameId, userId);
+    const chess = gameData.chessInstance;
+
+    if (gameDoc.mode !== 'computer') {
+        throw new Error('Hints are only available against the computer.');
+    }
+    if (colorName(chess.turn()) !== color) {
+        throw new Error('Hints are only available on your turn.');
+    }
+
+    const ply = gameDoc.moves.length;
+    // Takebacks drop the hints of the plies they undo, so a hint stored for this ply is for this position
+    let hint = gameDoc.hints.positions.find((entry) => entry.ply === ply);
+    if (hint) {
+        hint.level = Math.min(hint.level + 1, 3);
+    } else {
+        const { limit, used } = gameDoc.hints;
+        if (limit !== null && used >= limit) {
+            throw new Error(limit === 0
+                ? 'Hints are not allowed in this game.'
+                : `No hints left. This game allows ${limit}.`);
+        }
+        const { bestMove, principalVariation } = await stockfishService.analyzePosition(chess.fen());
+        if (!bestMove) {
+            throw new Error('No hint is available in this position.');
+        }
+        gameDoc.hints.positions.push({ ply, level: 1, bestMove, principalVariation });
+        gameDoc.hints.used = used + 1;
+        hint = gameDoc.hints.positions[gameDoc.hints.positions.length - 1];
+    }
+    await gameDoc.save();
+
+    const from = hint.bestMove.slice(0, 2);
+    const response = {
+        gameId,
+        level: hint.level,
+        piece: PIECE_NAMES[chess.get(from).type],
+        from,
+        hintsUsed: gameDoc.hints.used,
+        hintLimit: gameDoc.hints.limit
+    };
+    if (hint.level >= 2) {
+        response.to = hint.bestMove.slice(2, 4);
+    }
+    if (hint.level >= 3) {
+        // Fully revealed: the move in both notations and the start of the engine's line
+        response.move = hint.bestMove;
+        response.san = new Chess(chess.fen()).move(hint.bestMove).san;
+        response.principalVariation = hint.principalVariation.split(' ').slice(0, 5).join(' ');
+    }
+
+    logger.info(`Game ${gameId}: hint level ${hint.level} given at ply ${ply} (${gameDoc.hints.used} of ${gameDoc.hints.limit === null ? 'unlimited' : gameDoc.hints.limit} used).`);
+    return response;
+};
+
+/**
+ * Analyzes a completed game and stores the analysis. Entries are saved ply by
+ * ply, so an interrupted analysis resumes after the last stored entry.
+ * @param {string} gameId
+ * @param {object} [hooks]
+ * @param {Function} [hooks.onProgress] - Awaited after each ply with { ply, totalPlies, entry }
+ * @param {Function} [hooks.isCancelled] - Awaited before each ply; returning true stops the analysis
  * @returns {Promise<Game>} - The updated game document with analysis
  */
-const analyzeGame = async (gameId) => {
+const analyzeGame = async (gameId, { onProgress = async () => {}, isCancelled = async () => false } = {}) => {
     const gameDoc = await Game.findOne({ gameId });
     if (!gameDoc) {
         throw new Error('Game not found.');
@@ -231,158 +1269,196 @@ const analyzeGame = async (gameId) => {
     if (gameDoc.status !== 'finished') {
         throw new Error('Game is not finished and cannot be analyzed.');
     }
-    if (gameDoc.analysis && gameDoc.analysis.length > 0) {
+    if (isAnalysisComplete(gameDoc)) {
         logger.info(`Game ${gameId} already analyzed. Returning existing analysis.`);
+        if (!gameDoc.analysisSummary) {
+            // Analysed before summaries were stored
+            gameDoc.analysisSummary = summarizeAnalysis(gameDoc.analysis);
+            await gameDoc.save();
+        }
         return gameDoc;
     }
 
-    logger.info(`Starting analysis for game ${gameId}...`);
+    const startPly = gameDoc.analysis.length;
+    const totalPlies = gameDoc.moves.length;
+    logger.info(startPly > 0
+        ? `Resuming analysis for game ${gameId} at ply ${startPly + 1} of ${totalPlies}...`
+        : `Starting analysis for game ${gameId}...`);
     gameDoc.status = 'analyzing';
     await gameDoc.save();
 
-    const chess = new Chess();
-    const analysisResults = [];
-
-    // Helper: Convert Stockfish evaluation to a single integer (Centipawns)
-    // Positive = Advantage for side to move.
-    const getCpValue = (evaluation) => {
-        if (evaluation.type === 'cp') return evaluation.value;
-        if (evaluation.type === 'mate') {
-            // If mate is positive (winning), return huge number. If negative (losing), return small number.
-            // We favor closer mates (Mate in 1 > Mate in 5), so we subtract distance from max.
-            const MATE_VALUE = 10000;
-            const sign = Math.sign(evaluation.value);
-            // Example: Mate in 1 = 10000 - 1 = 9999. Mate in -1 = -9999.
-            if (evaluation.value === 0) return 0; // Should handle checkmate on board separately
-            return sign * (MATE_VALUE - Math.abs(evaluation.value));
+    let cancelled = false;
+    try {
+        const chess = startingPosition(gameDoc);
+        for (const move of gameDoc.moves.slice(0, startPly)) {
+            chess.move(move);
         }
-        return 0;
-    };
+        // ply -> most detailed hint the player saw before that move
+        const hintLevels = new Map((gameDoc.hints ? gameDoc.hints.positions : []).map((hint) => [hint.ply, hint.level]));
 
-    // 1. Initial Analysis (Starting Position)
-    // We need the baseline before the first move is even made.
-    let currentAnalysis = await stockfishService.analyzePosition(chess.fen());
+        // 1. Initial Analysis (Starting Position, or where a resumed analysis left off)
+        // We need the baseline before the first move is even made.
+        let currentAnalysis = await stockfishService.analyzePosition(chess.fen(), { multiPv: ANALYSIS_MULTIPV });
 
-    for (let i = 0; i < gameDoc.moves.length; i++) {
-        const moveSan = gameDoc.moves[i];
-        const fenBeforeMove = chess.fen();
-        const turnColor = chess.turn(); // 'w' or 'b'
-        
-        // 2. Determine who played this move (for checking "Human" mistakes)
-        const isWhiteTurn = turnColor === 'w';
-        const isHumanMove = (isWhiteTurn && gameDoc.players.white === 'Human') ||
-                            (!isWhiteTurn && gameDoc.players.black === 'Human');
+        for (let i = startPly; i < totalPlies; i++) {
+            if (await isCancelled()) {
+                logger.info(`Analysis for game ${gameId} cancelled at ply ${i + 1} of ${totalPlies}.`);
+                cancelled = true;
+                break;
+            }
 
-        // Capture data derived from the position BEFORE the move was made
-        const bestMoveStart = currentAnalysis.bestMove;
-        const evalStart = currentAnalysis.evaluation;
-        const cpStart = getCpValue(evalStart);
+            const storedMove = gameDoc.moves[i]; // UCI; older games may hold SAN
+            const fenBeforeMove = chess.fen();
+            const turnColor = chess.turn(); // 'w' or 'b'
+            const moveNumber = chess.moveNumber(); // Counted from the starting position's move number
+        
+            // 2. Determine who played this move (for checking "Human" mistakes)
+            const isWhiteTurn = turnColor === 'w';
+            const isHumanMove = gameDoc.mode !== 'computer' ||
+                                (isWhiteTurn && gameDoc.players.white === 'Human') ||
+                                (!isWhiteTurn && gameDoc.players.black === 'Human');
 
-        // 3. Execute the move
-        try {
-            const moveResult = chess.move(moveSan);
-            if (!moveResult) throw new Error(`Invalid SAN: ${moveSan}`);
-        } catch (e) {
-            logger.error(`Analysis failed at move ${i + 1} (${moveSan}): ${e.message}`);
-            break; // Stop analysis if game state is broken
-        }
+            // Capture data derived from the position BEFORE the move was made
+            const bestMoveStart = currentAnalysis.bestMove;
+            const evalStart = currentAnalysis.evaluation;
+            const candidatesStart = currentAnalysis.candidates;
+            const cpStart = getCpValue(evalStart);
 
-        const fenAfterMove = chess.fen();
-        let evalAfter, bestMoveAfter, pvAfter;
-
-        // 4. Analyze the new position (Result of the move)
-        // Check if game is over (Checkmate/Draw) to avoid engine errors on final position
-        if (chess.isGameOver()) {
-            // Manually construct the final evaluation
-            if (chess.isCheckmate()) {
-                // If it's checkmate, the side that just moved WON. 
-                // Stockfish would see "Mate in 0". 
-                // From the perspective of the side whose turn it is now (the loser), it is -Infinity.
-                evalAfter = { type: 'mate', value: 0 }; 
-            } else {
-                // Draw (Stalemate, etc)
-                evalAfter = { type: 'cp', value: 0 };
+            // 3. Execute the move
+            let moveResult;
+            try {
+                moveResult = playMove(chess, storedMove);
+            } catch (e) {
+                // The game state is broken; fail rather than pass a partial analysis off as complete
+                throw new Error(`Analysis failed at move ${i + 1} (${storedMove}): ${e.message}`);
             }
-            bestMoveAfter = null; // No moves left
-            pvAfter = '';
-            
-            // Prepare next loop iteration (though loop will end)
-            currentAnalysis = { evaluation: evalAfter, bestMove: null };
-        } else {
-            // Normal move: Get engine analysis for the opponent's new position
-            const nextAnalysis = await stockfishService.analyzePosition(fenAfterMove);
-            evalAfter = nextAnalysis.evaluation;
-            bestMoveAfter = nextAnalysis.bestMove;
-            pvAfter = nextAnalysis.principalVariation;
-            
-            // Update currentAnalysis for the NEXT iteration of the loop
-            currentAnalysis = nextAnalysis;
-        }
+            const moveUci = moveResult.lan; // Compared with the engine's best move, which is UCI
 
-        // 5. Calculate Move Quality (Mistake/Blunder)
-        let isMistake = false;
-        let isBlunder = false;
-        let comment = '';
+            const fenAfterMove = chess.fen();
+            let evalAfter, bestMoveAfter, pvAfter;
 
-        if (isHumanMove) {
-            const cpAfterRaw = getCpValue(evalAfter);
+            // 4. Analyze the new position (Result of the move)
+            // Check if game is over (Checkmate/Draw) to avoid engine errors on final position
+            if (chess.isGameOver()) {
+                // Manually construct the final evaluation
+                if (chess.isCheckmate()) {
+                    // If it's checkmate, the side that just moved WON. 
+                    // Stockfish would see "Mate in 0". 
+                    // From the perspective of the side whose turn it is now (the loser), it is -Infinity.
+                    evalAfter = { type: 'mate', value: 0 }; 
+                } else {
+                    // Draw (Stalemate, etc)
+                    evalAfter = { type: 'cp', value: 0 };
+                }
+                bestMoveAfter = null; // No moves left
+                pvAfter = '';
             
+                // Prepare next loop iteration (though loop will end)
+                currentAnalysis = { evaluation: evalAfter, bestMove: null, candidates: [] };
+            } else {
+                // Normal move: Get engine analysis for the opponent's new position
+                const nextAnalysis = await stockfishService.analyzePosition(fenAfterMove, { multiPv: ANALYSIS_MULTIPV });
+                evalAfter = nextAnalysis.evaluation;
+                bestMoveAfter = nextAnalysis.bestMove;
+                pvAfter = nextAnalysis.principalVariation;
+            
+                // Update currentAnalysis for the NEXT iteration of the loop
+                currentAnalysis = nextAnalysis;
+            }
+
+            // 5. Calculate Move Quality from the mover's drop in winning chances
             let cpActualResult;
             if (evalAfter.type === 'mate' && evalAfter.value === 0) {
-                 cpActualResult = 10000; // Positive because the player WON
+                cpActualResult = 10000; // Positive because the player WON
             } else {
-                 cpActualResult = -1 * cpAfterRaw;
+                cpActualResult = -1 * getCpValue(evalAfter);
             }
-
-            const evalDiff = cpStart - cpActualResult; 
+            const evalDiff = cpStart - cpActualResult;
             // Example: Start +100. Result -200 (Blunder). Diff = 300.
+            // Capped so that a lost mate does not dominate a game's average
+            const centipawnLoss = Math.min(Math.max(evalDiff, 0), MAX_CENTIPAWN_LOSS);
+
+            const winBefore = winProbability(cpStart);
+            const winAfter = winProbability(cpActualResult);
+            const isBest = moveUci === bestMoveStart;
+            const classification = classifyMove({
+                isBest,
+                winBefore,
+                winAfter,
+                hadForcedMate: evalStart.type === 'mate' && evalStart.value > 0,
+                keepsForcedMate: evalAfter.type === 'mate' && evalAfter.value <= 0
+            });
 
-            const MISTAKE_THRESHOLD = 150; // 1.5 pawns
-            const BLUNDER_THRESHOLD = 300; // 3 pawns
-
-            if (evalDiff > BLUNDER_THRESHOLD) {
-                isBlunder = true;
-                comment = `Blunder. You lost significant advantage. Best was ${bestMoveStart}.`;
-            } else if (evalDiff > MISTAKE_THRESHOLD) {
-                isMistake = true;
-                comment = `Mistake. Best move was ${bestMoveStart}.`;
-            } else if (evalStart.type === 'mate' && evalAfter.type !== 'mate') {
-                 // You had a forced mate sequence and lost it
-                 isMistake = true;
-                 comment = `Missed Mate. Best move was ${bestMoveStart}.`;
+            // Mistake/blunder flags and comments are for the human player
+            let isMistake = false;
+            let isBlunder = false;
+            let comment = '';
+            if (isHumanMove) {
+                if (classification === 'blunder') {
+                    isBlunder = true;
+                    comment = `Blunder. You lost significant advantage. Best was ${bestMoveStart}.`;
+                } else if (classification === 'mistake') {
+                    isMistake = true;
+                    comment = `Mistake. Best move was ${bestMoveStart}.`;
+                } else if (classification === 'missedWin') {
+                    isMistake = true;
+                    comment = `Missed win. Best move was ${bestMoveStart}.`;
+                } else if (classification === 'inaccuracy') {
+                    comment = `Inaccuracy. Best move was ${bestMoveStart}.`;
+                }
             }
-        }
 
-        analysisResults.push({
-            moveNumber: Math.floor(i / 2) + 1,
-            color: isWhiteTurn ? 'white' : 'black',
-            move: moveSan,
-            fen: fenAfterMove,
-            evaluation: evalStart, // Store what the eval was BEFORE this move (context)
-            bestMove: bestMoveStart, // The move the engine recommended
-            isMistake,
-            isBlunder,
-            comment
-        });
-    }
+            const entry = {
+                moveNumber,
+                color: isWhiteTurn ? 'white' : 'black',
+                move: moveUci,
+                san: moveResult.san,
+                fen: fenAfterMove,
+                evaluation: evalStart, // Store what the eval was BEFORE this move (context)
+                evaluationAfter: evalAfter, // Eval after the move, from the opponent's point of view
+                bestMove: bestMoveStart, // The move the engine recommended
+                candidates: candidatesStart, // The engine's top alternatives, with their own lines
+                classification,
+                isOnlyMove: isBest && isOnlyMove(candidatesStart, getCpValue),
+                isMistake,
+                isBlunder,
+                centipawnLoss,
+                accuracy: Math.round(moveAccuracy(winBefore, winAfter) * 10) / 10,
+                hintLevel: hintLevels.get(i) || 0,
+                comment
+            };
 
-    await Game.findByIdAndUpdate(
-        gameDoc._id,
-        { 
-            $set: { 
-                analysis: analysisResults, 
-                status: 'finished' 
-            } 
+            // Persist each ply as it completes so progress survives a restart
+            await Game.updateOne({ _id: gameDoc._id }, { $push: { analysis: entry } });
+            await onProgress({ ply: i + 1, totalPlies, entry });
         }
-    );
+    } finally {
+        // Back to 'finished' even if the engine fails, or the game could never be analysed again
+        const analysedDoc = await Game.findById(gameDoc._id);
+        const update = { status: 'finished' };
+        if (isAnalysisComplete(analysedDoc)) {
+            update.analysisSummary = summarizeAnalysis(analysedDoc.analysis);
+        }
+        await Game.updateOne({ _id: gameDoc._id }, { $set: update });
+        statsService.invalidateGameStats(gameDoc);
+    }
 
-    logger.info(`Game ${gameId} analysis complete.`);
+    if (!cancelled) {
+        logger.info(`Game ${gameId} analysis complete.`);
+    }
     
     // Return the updated document if needed by the caller
     return await Game.findById(gameDoc._id);
 };
 
 
+/**
+ * Whether every move of a game has a stored analysis entry.
+ * @param {Game} gameDoc
+ * @returns {boolean}
+ */
+const isAnalysisComplete = (gameDoc) => gameDoc.analysis.length > 0 && gameDoc.analysis.length >= gameDoc.moves.length;
+
 /**
  * Retrieves a game by its ID.
  * @param {string} gameId
@@ -393,28 +1469,261 @@ const getGameById = async (gameId) => {
     if (!game) {
         throw new Error('Game not found.');
     }
+    if (game.status === 'playing' && !activeGames.has(gameId)) {
+        try {
+            await loadActiveGame(gameId);
+            // Recovery may have ended the game (e.g. on time), so return the stored state
+            return await Game.findOne({ gameId });
+        } catch (error) {
+            logger.error(`Failed to restore game ${gameId}: ${error.message}`);
+        }
+    }
     return game;
 };
 
+/**
+ * Current state of a game for a user about to watch or play it, e.g. when their
+ * socket joins the game. Players get the live state; other users may only
+ * spectate games that are not private, and get the (possibly delayed)
+ * spectator state.
+ * @param {string} gameId
+ * @param {string} userId
+ * @returns {Promise<{role: string, color: string|null, room: string, state: object}>} -
+ *   role is 'player' or 'spectator'; room is the Socket.IO room to join
+ */
+const getGameStateForViewer = async (gameId, userId) => {
+    const gameDoc = await getGameById(gameId);
+    const color = getPlayerColor(gameDoc, userId);
+    if (color) {
+        return { role: 'player', color, room: gameId, state: buildGameState(gameDoc) };
+    }
+    if (gameDoc.visibility === 'private') {
+        throw new Error('This game is private.');
+    }
+    return { role: 'spectator', color: null, room: spectatorRoom(gameId), state: buildSpectatorState(gameDoc) };
+};
+
+/**
+ * A game as a user may see it: the full document for its participants and,
+ * unless it is private, for games that are over; the spectator state of a
+ * game in progress for anyone else.
+ * @param {string} gameId
+ * @param {string} userId
+ * @returns {Promise<Game|object>}
+ * @throws {Error} 'This game is private.' if the user may not see it
+ */
+const getGameForUser = async (gameId, userId) => {
+    const gameDoc = await getGameById(gameId);
+    const participant = checkGameAccess(gameDoc, userId);
+    if (participant || gameDoc.status !== 'playing') {
+        return { ...gameDoc.toObject(), sanMoves: toSanMoves(gameDoc.startFen, gameDoc.moves) };
+    }
+    return buildSpectatorState(gameDoc);
+};
+
+/**
+ * Public games being played, most recently active first, as seen by spectators.
+ * @param {object} [options]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<Array<object>>}
+ */
+const getLiveGames = async ({ limit = 20 } = {}) => {
+    const games = await Game.find({ status: 'playing', visibility: 'public' })
+        .sort({ updatedAt: -1 })
+        .limit(limit)
+        .select('gameId mode players status result termination difficulty engine.name rated timeControl clock startFen fen pgn moves broadcastDelay eco openingName updatedAt');
+
+    return games.map((gameDoc) => {
+        const state = buildSpectatorState(gameDoc);
+        return {
+            gameId: gameDoc.gameId,
+            mode: gameDoc.mode,
+            players: gameDoc.players,
+            difficulty: gameDoc.difficulty,
+            engine: gameDoc.engine ? gameDoc.engine.name : null,
+            rated: gameDoc.rated,
+            timeControl: gameDoc.timeControl,
+            fen: state.fen,
+            plies: state.moves.length,
+            opening: state.opening,
+            broadcastDelay: gameDoc.broadcastDelay,
+            spectators: state.spectators,
+            updatedAt: gameDoc.updatedAt
+        };
+    });
+};
+
+/**
+ * Reconciles games left behind by a previous server run. Interrupted analyses
+ * are reset, 'playing' games untouched for STALE_GAME_HOURS are expired, and
+ * the remaining timed games are restored so their clocks keep running.
+ * Untimed games are restored lazily on their next request.
+ * @returns {Promise<void>}
+ */
+const recoverGames = async () => {
+    const interrupted = await Game.updateMany({ status: 'analyzing' }, { $set: { status: 'finished' } });
+    if (interrupted.modifiedCount > 0) {
+        logger.warn(`Reset ${interrupted.modifiedCount} interrupted analyses to 'finished'.`);
+    }
+
+    const staleBefore = new Date(Date.now() - STALE_GAME_HOURS * 60 * 60 * 1000);
+    const expired = await Game.updateMany(
+        { status: 'playing', updatedAt: { $lt: staleBefore } },
+        { $set: { status: 'finished', result: '*', termination: 'abandonment', updatedAt: Date.now() } }
+    );
+    if (expired.modifiedCount > 0) {
+        logger.warn(`Expired ${expired.modifiedCount} games with no activity for ${STALE_GAME_HOURS} hours.`);
+    }
+
+    const timedGames = await Game.find({ status: 'playing', timeControl: { $ne: null } }).select('gameId');
+    for (const { gameId } of timedGames) {
+        try {
+            await loadActiveGame(gameId);
+        } catch (error) {
+            logger.error(`Failed to restore game ${gameId}: ${error.message}`);
+        }
+    }
+    logger.info(`Game recovery complete (${timedGames.length} timed games checked).`);
+};
+
+/**
+ * Ends a game whose player left and did not come back in time. The player
+ * loses, unless the game had barely started (fewer than two plies), in which
+ * case it is terminated without a result.
+ * @param {string} gameId
+ * @param {string} userId - The ID of the player who left.
+ * @returns {Promise<Game|null>} - null if the game is no longer being played
+ */
+const abandonGame = async (gameId, userId) => {
+    const gameDoc = await Game.findOne({ gameId });
+    if (!gameDoc || gameDoc.status !== 'playing') {
+        return null;
+    }
+    const color = getPlayerColor(gameDoc, userId);
+    if (!color) {
+        return null;
+    }
+
+    if (gameDoc.moves.length < 2) {
+        await terminateGame(gameId);
+        logger.info(`Game ${gameId} aborted: ${color} left before the game got going.`);
+        const terminated = await Game.findOne({ gameId });
+        broadcastGameState(terminated);
+        return terminated.toObject();
+    }
+
+    logger.info(`Game ${gameId}: ${color} abandoned the game.`);
+    return finishGame(gameDoc, color === 'white' ? '0-1' : '1-0', 'abandonment');
+};
+
+/**
+ * Ends a game at the request of one of its players, e.g. because they leave
+ * it. A challenge nobody has joined is withdrawn; a game being played is
+ * scored as abandoned by that player (see abandonGame).
+ * @param {string} gameId
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<Game>}
+ * @throws {Error} If the user is not a player in the game, or it has already ended
+ */
+const leaveGame = async (gameId, userId) => {
+    const gameDoc = await getGameById(gameId);
+    if (!getPlayerColor(gameDoc, userId)) {
+        throw new Error('You are not a player in this game.');
+    }
+
+    if (gameDoc.status === 'waiting') {
+        await terminateGame(gameId);
+        return (await Game.findOne({ gameId })).toObject();
+    }
+    const ended = await abandonGame(gameId, userId);
+    if (!ended) {
+        throw new Error('Game is not active or has ended.');
+    }
+    return ended;
+};
+
+/**
+ * Terminates games (and their engines) that have seen no activity for
+ * STALE_GAME_HOURS: games being played without a move and challenges nobody joined.
+ * @returns {Promise<number>} - Number of games terminated
+ */
+const reapIdleGames = async () => {
+    const staleBefore = new Date(Date.now() - STALE_GAME_HOURS * 60 * 60 * 1000);
+    const idleGames = await Game.find({ status: { $in: ['waiting', 'playing'] }, updatedAt: { $lt: staleBefore } })
+        .select('gameId');
+
+    for (const { gameId } of idleGames) {
+        await runExclusive(gameId, () => terminateGame(gameId));
+        const terminated = await Game.findOne({ gameId });
+        if (terminated) {
+            broadcastGameState(terminated);
+        }
+    }
+    if (idleGames.length > 0) {
+        logger.warn(`Terminated ${idleGames.length} games with no activity for ${STALE_GAME_HOURS} hours.`);
+    }
+    return idleGames.length;
+};
+
+/**
+ * Checks for idle games every IDLE_REAP_INTERVAL_MINUTES.
+ * @returns {NodeJS.Timeout}
+ */
+const startIdleGameReaper = () => {
+    const timer = setInterval(() => {
+        reapIdleGames().catch((error) => logger.error(`Idle game reaper failed: ${error.message}`));
+    }, IDLE_REAP_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref(); // Must not keep the process alive on shutdown
+    return timer;
+};
+
 /**
  * Terminates a game and its associated Stockfish engine.
  * This is useful for cleanup if a user leaves a game or it crashes.
  * @param {string} gameId
  */
 const terminateGame = async (gameId) => {
+    clockService.clearFlag(gameId);
     stockfishService.terminateEngine(gameId);
     activeGames.delete(gameId);
-    // Optionally update game status in DB to 'terminated' or similar
-    await Game.updateOne({ gameId }, { status: 'terminated', result: '*' });
+    // Games that already have a result keep it
+    await Game.updateOne(
+        { gameId, status: { $in: ['waiting', 'playing'] } },
+        { $set: { status: 'finished', result: '*', termination: 'abandonment', drawOffer: null, updatedAt: Date.now() } }
+    );
+    notifyGameEnded(gameId);
     logger.info(`Game ${gameId} and its Stockfish engine terminated.`);
 };
 
 module.exports = {
     setSocketIo, // Export the setter
+    onGameEnded,
     createGame,
-    makeMove,
+    createChallenge,
+    joinGame,
+    createMatchedGame,
+    makeMove: exclusive(makeMove),
+    resignGame: exclusive(resignGame),
+    offerDraw: exclusive(offerDraw),
+    respondToDrawOffer: exclusive(respondToDrawOffer),
+    claimDraw: exclusive(claimDraw),
+    takebackMove: exclusive(takebackMove),
+    getHint: exclusive(getHint),
     analyzeGame,
+    isAnalysisComplete,
     getGameById,
+    getGameForUser,
+    checkGameAccess,
+    getSpectatorPlies,
+    getGameStateForViewer,
+    getLiveGames,
+    spectatorRoom,
+    notifySpectatorCount,
     getGameHistory,
+    recoverGames,
+    abandonGame: exclusive(abandonGame),
+    leaveGame: exclusive(leaveGame),
+    reapIdleGames,
+    startIdleGameReaper,
     terminateGame
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const logger = require('../utils/logger');
+
+const MAX_JS_DEPTH = 4; // Deeper searches do not finish in reasonable time in JavaScript
+const DEFAULT_MOVETIME_MS = 2000; // Budget for searches that give only a depth, e.g. analysis at depth 20
+const WORKER_PATH = path.join(__dirname, 'jsEngineWorker.js');
+
+/**
+ * Reads the search limits from a UCI go command.
+ * @param {string} goCommand - e.g. "go depth 5 movetime 250"
+ * @returns {{maxDepth: number, movetimeMs: number}} - Depth is capped at MAX_JS_DEPTH
+ */
+const parseGoCommand = (goCommand) => {
+    const tokens = goCommand.trim().split(/\s+/);
+    const readValue = (name) => {
+        const index = tokens.indexOf(name);
+        return index === -1 ? NaN : parseInt(tokens[index + 1], 10);
+    };
+    const depth = readValue('depth');
+    const movetime = readValue('movetime');
+    return {
+        maxDepth: Math.min(depth > 0 ? depth : MAX_JS_DEPTH, MAX_JS_DEPTH),
+        movetimeMs: movetime > 0 ? movetime : DEFAULT_MOVETIME_MS
+    };
+};
+
+/**
+ * Creates the built-in engine, a drop-in replacement for the UCI engine pool
+ * (same `search` and `shutdown`) for machines without a Stockfish binary.
+ * Each search runs in a worker thread so it does not block the event loop; at
+ * most `size` run at once and the rest wait in a FIFO queue. UCI options
+ * (skill level, Elo limit, ...) are ignored: strength comes from the depth and
+ * move time of the go command alone.
+ * @param {object} config
+ * @param {number} config.size - Maximum number of concurrent searches
+ * @returns {{search: Function, shutdown: Function}}
+ */
+const createJsEngine = ({ size }) => {
+    const workers = new Set(); // Running workers
+    const waitQueue = []; // Pending searches: { start, reject }
+    let shuttingDown = false;
+
+    const runNext = () => {
+        if (workers.size < size && waitQueue.length > 0) {
+            waitQueue.shift().start();
+        }
+    };
+
+    const runSearch = ({ fen, goCommand, multiPv, timeoutMs }) => new Promise((resolve, reject) => {
+        const { maxDepth, movetimeMs } = parseGoCommand(goCommand);
+        const worker = new Worker(WORKER_PATH, { workerData: { fen, maxDepth, movetimeMs, multiPv } });
+        workers.add(worker);
+
+        let settled = false;
+        const finish = (error, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(searchTimer);
+            workers.delete(worker);
+            worker.terminate();
+            runNext();
+            if (error) reject(error);
+            else resolve(value);
+        };
+
+        // The search keeps to its move time, but depth 1 always completes, so guard against a stuck worker
+        const searchTimer = setTimeout(() => {
+            finish(new Error(`Built-in engine search timed out after ${timeoutMs}ms.`));
+        }, timeoutMs);
+
+        worker.once('message', (result) => finish(null, { ...result, ponder: null }));
+        worker.once('error', (error) => finish(error));
+        worker.once('exit', (code) => finish(new Error(`Built-in engine worker exited with code ${code}.`)));
+    });
+
+    /**
+     * Searches a position, waiting for a free slot first if needed.
+     * @param {object} request
+     * @param {string} request.fen - Position to search
+     * @param {string} request.goCommand - e.g. "go depth 20"
+     * @param {number} [request.multiPv=1] - Number of candidate lines to search
+     * @param {number} [request.timeoutMs=15000] - Time before the search is abandoned
+     * @returns {Promise<{bestMove: string|null, ponder: null, lines: Array<object>}>}
+     */
+    const search = ({ fen, goCommand, multiPv = 1, timeoutMs = 15000 }) => new Promise((resolve, reject) => {
+        if (shuttingDown) {
+            reject(new Error('Built-in engine is shutting down.'));
+            return;
+        }
+        const start = () => runSearch({ fen, goCommand, multiPv, timeoutMs }).then(resolve, reject);
+        if (workers.size < size) {
+            start();
+        } else {
+            waitQueue.push({ start, reject });
+        }
+    });
+
+    /**
+     * Stops every running search and rejects queued ones.
+     */
+    const shutdown = () => {
+        shuttingDown = true;
+        for (const waiter of waitQueue.splice(0)) {
+            waiter.reject(new Error('Built-in engine is shutting down.'));
+        }
+        for (const worker of workers) {
+            worker.terminate();
+        }
+        workers.clear();
+        logger.info('Built-in engine stopped.');
+    };
+
+    return { search, shutdown };
+};
+
+module.exports = {
+    createJsEngine,
+    parseGoCommand
+};
@@ -0,0 +1,6 @@
+// Runs one search of the built-in engine off the main thread (see jsEngine.js)
+const { parentPort, workerData } = require('worker_threads');
+const { searchPosition } = require('../utils/jsSearch');
+
+const { fen, maxDepth, movetimeMs, multiPv } = workerData;
+parentPort.postMessage(searchPosition(fen, { maxDepth, movetimeMs, multiPv }));
@@ -0,0 +1,180 @@
+const { v4: uuidv4 } = require('uuid');
+const gameService = require('./gameService');
+const ratingService = require('./ratingService');
+const logger = require('../utils/logger');
+
+// How long a seek waits for an opponent before it is dropped from the queue
+const SEEK_TTL_MS = (parseInt(process.env.SEEK_TTL_SECONDS, 10) || 300) * 1000;
+
+const seeks = new Map(); // seekId -> { seekId, userId, timeControl, color, minRating, maxRating, rating, createdAt, expiryTimer }
+let ioInstance; // To hold the Socket.IO server instance
+
+const setSocketIo = (io) => {
+    ioInstance = io;
+};
+
+// Does `rating` fall inside the range the seek asked for?
+const isRatingAcceptable = (seek, rating) =>
+    (seek.minRating == null || rating >= seek.minRating) &&
+    (seek.maxRating == null || rating <= seek.maxRating);
+
+// Two seeks can be paired unless both insist on the same colour
+const areColorsCompatible = (a, b) => a === 'random' || b === 'random' || a !== b;
+
+/**
+ * Finds the oldest queued seek that can be paired with the given one.
+ * @param {object} seek
+ * @returns {object|null}
+ */
+const findOpponent = (seek) => {
+    // Map iteration follows insertion order, so the longest-waiting seek wins
+    for (const candidate of seeks.values()) {
+        if (candidate.userId === seek.userId) continue;
+        if (candidate.timeControl.label !== seek.timeControl.label) continue;
+        if (candidate.timeControl.mode !== seek.timeControl.mode) continue;
+        if (!areColorsCompatible(candidate.color, seek.color)) continue;
+        if (!isRatingAcceptable(candidate, seek.rating) || !isRatingAcceptable(seek, candidate.rating)) continue;
+        return candidate;
+    }
+    return null;
+};
+
+/**
+ * Decides which of two paired seeks plays white.
+ * @param {object} waiting - The seek that was already queued
+ * @param {object} incoming - The seek that triggered the match
+ * @returns {{white: object, black: object}}
+ */
+const assignColors = (waiting, incoming) => {
+    if (waiting.color === 'white' || incoming.color === 'black') {
+        return { white: waiting, black: incoming };
+    }
+    if (waiting.color === 'black' || incoming.color === 'white') {
+        return { white: incoming, black: waiting };
+    }
+    return Math.random() < 0.5
+        ? { white: waiting, black: incoming }
+        : { white: incoming, black: waiting };
+};
+
+// Takes a seek out of the queue, e.g. when it is paired, cancelled or expires
+const removeSeek = (seek) => {
+    clearTimeout(seek.expiryTimer);
+    seeks.delete(seek.seekId);
+};
+
+/**
+ * Queues a seek, to be dropped after SEEK_TTL_MS if nobody pairs with it.
+ * The seeker is told through the `seek:<seekId>` room.
+ * @param {object} seek
+ */
+const queueSeek = (seek) => {
+    seek.expiryTimer = setTimeout(() => {
+        seeks.delete(seek.seekId);
+        logger.info(`Seek ${seek.seekId} of user ${seek.userId} expired.`);
+        if (ioInstance) {
+            ioInstance.to(`seek:${seek.seekId}`).emit('seekExpired', { seekId: seek.seekId });
+        }
+    }, SEEK_TTL_MS);
+    seek.expiryTimer.unref(); // Must not keep the process alive on shutdown
+    seeks.set(seek.seekId, seek);
+};
+
+/**
+ * Removes the user's queued seek, if any.
+ * @param {string} userId
+ * @returns {boolean} - Whether a seek was removed
+ */
+const cancelSeek = (userId) => {
+    for (const seek of seeks.values()) {
+        if (seek.userId === String(userId)) {
+            removeSeek(seek);
+            logger.info(`Seek ${seek.seekId} cancelled for user ${userId}`);
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Whether a queued seek belongs to the user, e.g. before letting a socket watch it.
+ * @param {string} seekId
+ * @param {string} userId
+ * @returns {boolean}
+ */
+const isSeekOwner = (seekId, userId) => {
+    const seek = seeks.get(seekId);
+    return Boolean(seek) && seek.userId === String(userId);
+};
+
+/**
+ * Enters a user into the matchmaking queue. If a compatible seek is already
+ * waiting, a game is created immediately and the waiting user is notified
+ * through the `seek:<seekId>` room; otherwise the seek is queued for SEEK_TTL_MS.
+ * @param {string} userId - The ID of the authenticated user.
+ * @param {object} options
+ * @param {object} options.timeControl - Parsed time control (see config/timeControlConfig)
+ * @param {string} [options.color='random'] - 'white', 'black' or 'random'
+ * @param {number|null} [options.minRating] - Lowest acceptable opponent rating
+ * @param {number|null} [options.maxRating] - Highest acceptable opponent rating
+ * @returns {Promise<{status: string, seekId?: string, gameId?: string, color?: string}>}
+ */
+const createSeek = async (userId, { timeControl, color = 'random', minRating = null, maxRating = null }) => {
+    // Seekers are paired on their rating in the time control's category
+    const rating = await ratingService.getCurrentRating(userId, timeControl);
+
+    // A user only ever has one seek in the queue
+    cancelSeek(userId);
+
+    const seek = {
+        seekId: uuidv4(),
+        userId: String(userId),
+        timeControl,
+        color,
+        minRating,
+        maxRating,
+        rating,
+        createdAt: new Date()
+    };
+
+    const opponent = findOpponent(seek);
+    if (!opponent) {
+        queueSeek(seek);
+        logger.info(`Seek ${seek.seekId} queued for user ${userId} (Time control: ${timeControl.label})`);
+        return { status: 'queued', seekId: seek.seekId };
+    }
+
+    // Claim the opponent before the first await so no other seek can pair with it
+    removeSeek(opponent);
+    const { white, black } = assignColors(opponent, seek);
+
+    let game;
+    try {
+        game = await gameService.createMatchedGame(white.userId, black.userId, timeControl);
+    } catch (error) {
+        queueSeek(opponent);
+        throw error;
+    }
+
+    const opponentColor = white === opponent ? 'white' : 'black';
+    if (ioInstance) {
+        ioInstance.to(`seek:${opponent.seekId}`).emit('matchFound', {
+            seekId: opponent.seekId,
+            gameId: game.gameId,
+            color: opponentColor
+        });
+    }
+
+    return {
+        status: 'matched',
+        gameId: game.gameId,
+        color: opponentColor === 'white' ? 'black' : 'white'
+    };
+};
+
+module.exports = {
+    setSocketIo,
+    createSeek,
+    cancelSeek,
+    isSeekOwner
+};
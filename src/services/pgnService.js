@@ -0,0 +1,381 @@
+const { Chess } = require('chess.js');
+const { v4: uuidv4 } = require('uuid');
+const Game = require('../models/Game');
+const User = require('../models/User');
+const gameService = require('./gameService');
+const logger = require('../utils/logger');
+const { getGameOutcome, loadStartPosition } = require('../utils/chessRules');
+const { classifyOpening } = require('../utils/openingClassifier');
+
+const MAX_IMPORT_GAMES = 50; // Games accepted in a single import request
+const MAX_LINE_LENGTH = 80; // PGN export format line limit
+
+// Game.termination -> PGN "Termination" tag value
+const TERMINATION_TAGS = {
+    timeout: 'time forfeit',
+    abandonment: 'abandoned'
+};
+
+// Imported "Termination" tag value -> Game.termination
+const IMPORTED_TERMINATIONS = {
+    'time forfeit': 'timeout',
+    abandoned: 'abandonment'
+};
+
+// Date -> PGN date ("YYYY.MM.DD", UTC)
+const formatPgnDate = (date) => {
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getUTCFullYear()}.${pad(d.getUTCMonth() + 1)}.${pad(d.getUTCDate())}`;
+};
+
+// Milliseconds -> "H:MM:SS" as used by [%clk]
+const formatClock = (ms) => {
+    const totalSeconds = Math.max(Math.round(ms / 1000), 0);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${Math.floor(totalSeconds / 3600)}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+};
+
+// Tag values are quoted strings; backslashes and quotes must be escaped
+const escapeTagValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+/**
+ * Formats an engine evaluation for a [%eval] comment, from White's point of view.
+ * @param {{type: string, value: number}} evaluation - From the side to move's point of view
+ * @param {boolean} whiteToMove
+ * @returns {string} - e.g. "0.34", "-1.20" or "#-3"
+ */
+const formatEval = (evaluation, whiteToMove) => {
+    const value = whiteToMove ? evaluation.value : -evaluation.value;
+    if (evaluation.type === 'mate') {
+        return `#${value}`;
+    }
+    return (value / 100).toFixed(2);
+};
+
+/**
+ * Display names for both sides of a game.
+ * @param {Game} gameDoc
+ * @returns {Promise<{white: string, black: string}>}
+ */
+const getPlayerNames = async (gameDoc) => {
+    if (gameDoc.mode !== 'computer') {
+        return {
+            white: gameDoc.players.white || '?',
+            black: gameDoc.players.black || '?'
+        };
+    }
+
+    const user = await User.findById(gameDoc.userId).select('username');
+    const computerName = `Stockfish (${gameDoc.engine ? gameDoc.engine.name : `Level ${gameDoc.difficulty}`})`;
+    const humanName = user ? user.username : 'Human';
+    return {
+        white: gameDoc.players.white === 'Computer' ? computerName : humanName,
+        black: gameDoc.players.black === 'Computer' ? computerName : humanName
+    };
+};
+
+/**
+ * Tag pairs for a game: the Seven Tag Roster followed by supplemental tags.
+ * @param {Game} gameDoc
+ * @returns {Promise<Array<[string, string]>>}
+ */
+const buildTags = async (gameDoc) => {
+    const imported = gameDoc.pgnHeaders || new Map();
+    const names = await getPlayerNames(gameDoc);
+    const fallbackEvent = gameDoc.mode === 'computer' ? 'Casual game vs. computer' : 'Casual game';
+
+    const tags = [
+        ['Event', imported.get('Event') || fallbackEvent],
+        ['Site', imported.get('Site') || 'Knightmare'],
+        ['Date', imported.get('Date') || formatPgnDate(gameDoc.createdAt)],
+        ['Round', imported.get('Round') || '-'],
+        ['White', names.white],
+        ['Black', names.black],
+        ['Result', gameDoc.result]
+    ];
+
+    if (gameDoc.difficulty) {
+        tags.push(['Difficulty', String(gameDoc.difficulty)]);
+    }
+    tags.push(['TimeControl', gameDoc.timeControl
+        ? `${gameDoc.timeControl.initialMs / 1000}+${gameDoc.timeControl.incrementMs / 1000}`
+        : '-']);
+
+    let termination = 'unterminated';
+    if (gameDoc.termination) {
+        termination = TERMINATION_TAGS[gameDoc.termination] || 'normal';
+    } else if (gameDoc.result !== '*') {
+        termination = 'normal';
+    }
+    tags.push(['Termination', termination]);
+
+    if (gameDoc.eco) {
+        tags.push(['ECO', gameDoc.eco], ['Opening', gameDoc.openingName]);
+    }
+    if (gameDoc.startFen) {
+        tags.push(['SetUp', '1'], ['FEN', gameDoc.startFen]);
+    }
+
+    return tags;
+};
+
+/**
+ * Builds the movetext: SAN moves with [%clk] and [%eval] comments and NAGs
+ * for mistakes ($2) and blunders ($4) when the game has been analysed.
+ * @param {Game} gameDoc
+ * @returns {string}
+ */
+const buildMovetext = (gameDoc) => {
+    const chess = gameDoc.startFen ? new Chess(gameDoc.startFen) : new Chess();
+    const analysis = gameDoc.analysis || [];
+    const tokens = [];
+
+    gameDoc.moves.forEach((move, i) => {
+        const whiteMoved = chess.turn() === 'w';
+        const moveNumber = chess.moveNumber();
+        const { san } = chess.move(move);
+
+        // A black move needs its own number when something was written since the white move
+        const previousWasComment = tokens.length > 0 && tokens[tokens.length - 1].startsWith('{');
+        if (whiteMoved) {
+            tokens.push(`${moveNumber}.`);
+        } else if (i === 0 || previousWasComment) {
+            tokens.push(`${moveNumber}...`);
+        }
+        tokens.push(san);
+
+        const entry = analysis[i];
+        if (entry && entry.isBlunder) {
+            tokens.push('$4');
+        } else if (entry && entry.isMistake) {
+            tokens.push('$2');
+        }
+
+        const commands = [];
+        if (gameDoc.clockHistory && gameDoc.clockHistory[i] !== undefined) {
+            commands.push(`[%clk ${formatClock(gameDoc.clockHistory[i])}]`);
+        }
+        // The evaluation after this move; entries analysed before it was stored have it only on the next entry
+        const nextEntry = analysis[i + 1];
+        const evaluationAfter = entry && entry.evaluationAfter && entry.evaluationAfter.type
+            ? entry.evaluationAfter
+            : nextEntry && nextEntry.evaluation;
+        if (evaluationAfter) {
+            commands.push(`[%eval ${formatEval(evaluationAfter, !whiteMoved)}]`);
+        }
+        if (entry && entry.comment) {
+            commands.push(entry.comment);
+        }
+        if (commands.length > 0) {
+            tokens.push(`{${commands.join(' ').replace(/[{}]/g, '')}}`);
+        }
+    });
+
+    tokens.push(gameDoc.result);
+
+    // Wrap at MAX_LINE_LENGTH without breaking tokens
+    const lines = [];
+    let line = '';
+    for (const token of tokens.join(' ').split(' ')) {
+        if (line && line.length + 1 + token.length > MAX_LINE_LENGTH) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+    lines.push(line);
+    return lines.join('\n');
+};
+
+/**
+ * Exports a game as PGN with the Seven Tag Roster, difficulty, time control,
+ * termination and, when available, analysis comments. Users who do not take
+ * part in a game being played get it as spectators see it.
+ * @param {string} gameId
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<string>}
+ * @throws {Error} 'This game is private.' if the user may not see the game
+ */
+const exportPgn = async (gameId, userId) => {
+    const gameDoc = await Game.findOne({ gameId });
+    if (!gameDoc) {
+        throw new Error('Game not found.');
+    }
+    const participant = gameService.checkGameAccess(gameDoc, userId);
+    const shownPlies = gameService.getSpectatorPlies(gameDoc);
+    if (!participant && shownPlies < gameDoc.moves.length) {
+        // Behind the broadcast delay: no moves not shown yet, nor anything that could give them away (not saved)
+        gameDoc.moves = gameDoc.moves.slice(0, shownPlies);
+        gameDoc.clockHistory = [];
+        gameDoc.eco = null;
+        gameDoc.openingName = null;
+    }
+
+    const tags = await buildTags(gameDoc);
+    const header = tags.map(([name, value]) => `[${name} "${escapeTagValue(value)}"]`).join('\n');
+    return `${header}\n\n${buildMovetext(gameDoc)}\n`;
+};
+
+/**
+ * Splits a PGN database into single games. A game ends with its game
+ * termination marker, or where a tag section starts after movetext.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const splitPgnGames = (text) => {
+    const games = [];
+    let current = [];
+    let seenMovetext = false;
+
+    const closeGame = () => {
+        if (current.join('').trim()) {
+            games.push(current.join('\n'));
+        }
+        current = [];
+        seenMovetext = false;
+    };
+
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('[') && seenMovetext) {
+            closeGame();
+        }
+        current.push(line);
+        if (trimmed && !trimmed.startsWith('[') && !trimmed.startsWith('%')) {
+            seenMovetext = true;
+            if (/(^|\s)(1-0|0-1|1\/2-1\/2|\*)$/.test(trimmed)) {
+                closeGame();
+            }
+        }
+    }
+    closeGame();
+    return games;
+};
+
+/**
+ * Game.termination for an imported game, from its final position, result and
+ * "Termination" tag.
+ * @param {Chess} chess - Positioned at the end of the game
+ * @param {string} result
+ * @param {string|undefined} terminationTag
+ * @returns {string|null}
+ */
+const inferTermination = (chess, result, terminationTag) => {
+    if (result === '*') {
+        return null;
+    }
+    const tagged = IMPORTED_TERMINATIONS[(terminationTag || '').toLowerCase()];
+    if (tagged) {
+        return tagged;
+    }
+    const outcome = getGameOutcome(chess);
+    if (outcome) {
+        return outcome.termination;
+    }
+    return result === '1/2-1/2' ? 'agreement' : 'resignation';
+};
+
+/**
+ * Validates one PGN game and stores it as a finished game of the importing user.
+ * @param {string} userId
+ * @param {string} pgnText
+ * @returns {Promise<Game>}
+ */
+const importSingleGame = async (userId, pgnText) => {
+    const parsed = new Chess();
+    parsed.loadPgn(pgnText); // Throws on illegal moves or malformed movetext
+
+    const headers = parsed.getHeaders();
+    // loadPgn accepts any well-formed FEN tag; games must also start from a legal position
+    const startFen = headers.FEN ? loadStartPosition(headers.FEN).fen() : null;
+    const history = parsed.history({ verbose: true });
+    if (history.length === 0) {
+        throw new Error('The game contains no moves.');
+    }
+
+    const result = ['1-0', '0-1', '1/2-1/2'].includes(headers.Result) ? headers.Result : '*';
+
+    // Re-play the moves so the stored PGN matches games played on the site
+    const chess = startFen ? new Chess(startFen) : new Chess();
+    for (const move of history) {
+        chess.move(move.san);
+    }
+
+    const moves = history.map((move) => move.lan); // Stored as UCI, like played games
+    const opening = startFen ? null : classifyOpening(moves);
+
+    const pgnHeaders = new Map();
+    for (const name of ['Event', 'Site', 'Date', 'Round']) {
+        if (headers[name] && !headers[name].includes('?')) {
+            pgnHeaders.set(name, headers[name]);
+        }
+    }
+
+    const gameDoc = new Game({
+        gameId: uuidv4(),
+        userId,
+        mode: 'imported',
+        players: {
+            white: headers.White && headers.White !== '?' ? headers.White : 'White',
+            black: headers.Black && headers.Black !== '?' ? headers.Black : 'Black'
+        },
+        pgnHeaders,
+        startFen,
+        fen: chess.fen(),
+        pgn: chess.pgn(),
+        moves,
+        eco: opening ? opening.eco : null,
+        openingName: opening ? opening.name : null,
+        status: 'finished',
+        result,
+        termination: inferTermination(chess, result, headers.Termination)
+    });
+    await gameDoc.save();
+    return gameDoc;
+};
+
+/**
+ * Imports one or many PGN games. Each game is validated independently, so one
+ * bad game does not reject the rest.
+ * @param {string} userId - The ID of the importing user.
+ * @param {string|string[]} pgnInput - A PGN database, or an array of PGN texts
+ * @returns {Promise<{imported: Array<object>, errors: Array<{index: number, error: string}>}>}
+ */
+const importPgn = async (userId, pgnInput) => {
+    const texts = (Array.isArray(pgnInput) ? pgnInput : [pgnInput])
+        .flatMap((text) => splitPgnGames(String(text)));
+
+    if (texts.length === 0) {
+        throw new Error('No PGN games found.');
+    }
+    if (texts.length > MAX_IMPORT_GAMES) {
+        throw new Error(`Too many games. At most ${MAX_IMPORT_GAMES} games can be imported at once.`);
+    }
+
+    const imported = [];
+    const errors = [];
+    for (const [index, text] of texts.entries()) {
+        try {
+            const gameDoc = await importSingleGame(userId, text);
+            imported.push({
+                gameId: gameDoc.gameId,
+                white: gameDoc.players.white,
+                black: gameDoc.players.black,
+                result: gameDoc.result,
+                moves: gameDoc.moves.length
+            });
+        } catch (error) {
+            errors.push({ index, error: error.message });
+        }
+    }
+
+    logger.info(`PGN import for user ${userId}: ${imported.length} imported, ${errors.length} rejected.`);
+    return { imported, errors };
+};
+
+module.exports = {
+    exportPgn,
+    importPgn
+};
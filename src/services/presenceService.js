@@ -0,0 +1,110 @@
+const gameService = require('./gameService');
+const logger = require('../utils/logger');
+
+// How long a player may be gone from a game before it is adjudicated as abandoned
+const DISCONNECT_GRACE_MS = (parseInt(process.env.DISCONNECT_GRACE_SECONDS, 10) || 60) * 1000;
+
+// `${gameId}:${userId}` -> { gameId, userId, color, sockets: Set<socketId>, graceTimer, reconnectBy }
+const presences = new Map();
+let ioInstance; // To hold the Socket.IO server instance
+
+const setSocketIo = (io) => {
+    ioInstance = io;
+};
+
+const emitToGame = (gameId, event, payload) => {
+    if (ioInstance) {
+        ioInstance.to(gameId).emit(event, payload);
+    }
+};
+
+const presenceKey = (gameId, userId) => `${gameId}:${userId}`;
+
+/**
+ * Records a player's socket in a game. If the player was disconnected, their
+ * grace period is cancelled and the game carries on.
+ * @param {string} gameId
+ * @param {string} userId
+ * @param {string} color - 'white' or 'black'
+ * @param {string} socketId
+ * @returns {boolean} - Whether this was a reconnection
+ */
+const playerConnected = (gameId, userId, color, socketId) => {
+    const key = presenceKey(gameId, String(userId));
+    let presence = presences.get(key);
+    if (!presence) {
+        presence = { gameId, userId: String(userId), color, sockets: new Set(), graceTimer: null, reconnectBy: null };
+        presences.set(key, presence);
+    }
+    presence.sockets.add(socketId);
+
+    if (!presence.graceTimer) {
+        return false;
+    }
+    clearTimeout(presence.graceTimer);
+    presence.graceTimer = null;
+    presence.reconnectBy = null;
+    logger.info(`Game ${gameId}: ${color} reconnected.`);
+    emitToGame(gameId, 'playerReconnected', { gameId, color });
+    return true;
+};
+
+/**
+ * Removes a player's socket from a game. When it was their last one, the grace
+ * period starts; if they are not back when it ends, the game is adjudicated.
+ * @param {string} gameId
+ * @param {string} userId
+ * @param {string} socketId
+ */
+const playerDisconnected = (gameId, userId, socketId) => {
+    const key = presenceKey(gameId, String(userId));
+    const presence = presences.get(key);
+    if (!presence || !presence.sockets.delete(socketId) || presence.sockets.size > 0) {
+        return;
+    }
+
+    presence.reconnectBy = new Date(Date.now() + DISCONNECT_GRACE_MS);
+    presence.graceTimer = setTimeout(() => {
+        presences.delete(key);
+        gameService.abandonGame(gameId, userId)
+            .catch((error) => logger.error(`Failed to adjudicate abandoned game ${gameId}: ${error.message}`));
+    }, DISCONNECT_GRACE_MS);
+    presence.graceTimer.unref();
+
+    logger.info(`Game ${gameId}: ${presence.color} disconnected, ${DISCONNECT_GRACE_MS / 1000}s to reconnect.`);
+    emitToGame(gameId, 'playerDisconnected', { gameId, color: presence.color, reconnectBy: presence.reconnectBy });
+};
+
+/**
+ * Games a user disconnected from and can still return to, so that a new
+ * socket of theirs can rejoin them straight away.
+ * @param {string} userId
+ * @returns {string[]} - gameIds
+ */
+const getPendingGames = (userId) => [...presences.values()]
+    .filter((presence) => presence.userId === String(userId) && presence.graceTimer)
+    .map((presence) => presence.gameId);
+
+/**
+ * Forgets a game's players and cancels their grace periods, once the game has
+ * ended (by result, termination or abandonment).
+ * @param {string} gameId
+ */
+const clearGame = (gameId) => {
+    for (const [key, presence] of presences) {
+        if (presence.gameId === gameId) {
+            clearTimeout(presence.graceTimer);
+            presences.delete(key);
+        }
+    }
+};
+
+gameService.onGameEnded(clearGame);
+
+module.exports = {
+    setSocketIo,
+    playerConnected,
+    playerDisconnected,
+    getPendingGames,
+    clearGame
+};
@@ -0,0 +1,316 @@
+const { Chess } = require('chess.js');
+const { v4: uuidv4 } = require('uuid');
+const Game = require('../models/Game');
+const Puzzle = require('../models/Puzzle');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { updateRating } = require('../utils/glicko2');
+const { playMove, toMoveNotation, toSanMoves } = require('../utils/moveParser');
+const { PROVISIONAL_RD } = require('../config/ratingConfig');
+
+const MAX_SOLUTION_PLIES = 3; // Blunder puzzles: the best move, the reply and one more move
+const MAX_MATE_IN = 3; // Longest forced mate turned into a puzzle
+const RETRY_DELAY_MS = 10 * 60 * 1000; // A failed puzzle comes back after this
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const MAX_EASE = 3.0;
+
+/**
+ * Replays a SAN line from a position and returns it in UCI.
+ * @param {string} fen
+ * @param {string[]} sanMoves
+ * @returns {{moves: string[], chess: Chess}|null} - null if the line is not legal in the position
+ */
+const lineToUci = (fen, sanMoves) => {
+    const chess = new Chess(fen);
+    const moves = [];
+    try {
+        for (const san of sanMoves) {
+            moves.push(chess.move(san).lan);
+        }
+    } catch (error) {
+        return null;
+    }
+    return { moves, chess };
+};
+
+/**
+ * Solution of a blunder puzzle: the engine's line from the position before the
+ * blunder, cut so that it ends with a move of the solver.
+ * @param {string} fen - Position before the blunder
+ * @param {object} entry - The blunder's analysis entry
+ * @returns {string[]|null}
+ */
+const blunderSolution = (fen, entry) => {
+    const pv = entry.candidates.length > 0 ? entry.candidates[0].principalVariation : '';
+    const line = lineToUci(fen, pv.split(' ').filter(Boolean).slice(0, MAX_SOLUTION_PLIES));
+    if (line && line.moves.length > 0 && line.moves[0] === entry.bestMove) {
+        return line.moves.slice(0, line.moves.length % 2 === 0 ? -1 : undefined);
+    }
+    // Analysed without candidate lines: the best move alone
+    return lineToUci(fen, [entry.bestMove]) ? [entry.bestMove] : null;
+};
+
+/**
+ * Solution of a forced-mate puzzle: the engine's line, only if it really mates.
+ * @param {string} fen
+ * @param {object} entry - Analysis entry of the position, with a mate evaluation
+ * @returns {string[]|null}
+ */
+const mateSolution = (fen, entry) => {
+    if (entry.candidates.length === 0) {
+        return null;
+    }
+    const plies = entry.evaluation.value * 2 - 1;
+    const sanMoves = entry.candidates[0].principalVariation.split(' ').filter(Boolean).slice(0, plies);
+    const line = lineToUci(fen, sanMoves);
+    return line && line.moves.length === plies && line.chess.isCheckmate() ? line.moves : null;
+};
+
+/**
+ * Creates puzzles from a fully analysed game: every blunder becomes a puzzle
+ * for the player who made it, and every forced mate of up to MAX_MATE_IN moves
+ * found by the engine becomes a puzzle for each player of the game. Positions
+ * already turned into puzzles are skipped, so this can run more than once.
+ * @param {string} gameId
+ * @returns {Promise<number>} - Number of puzzles created
+ */
+const createPuzzlesFromGame = async (gameId) => {
+    const gameDoc = await Game.findOne({ gameId }).select('gameId startFen moves analysis playerIds');
+    if (!gameDoc) {
+        throw new Error('Game not found.');
+    }
+
+    const owners = ['white', 'black']
+        .filter((color) => gameDoc.playerIds[color])
+        .map((color) => ({ color, userId: gameDoc.playerIds[color] }));
+    const chess = gameDoc.startFen ? new Chess(gameDoc.startFen) : new Chess();
+    const puzzles = [];
+
+    gameDoc.analysis.forEach((entry, ply) => {
+        const fen = chess.fen();
+        chess.move(gameDoc.moves[ply]);
+
+        for (const owner of owners) {
+            let source = null;
+            let solution = null;
+            if (entry.isBlunder && entry.color === owner.color) {
+                source = 'blunder';
+                solution = blunderSolution(fen, entry);
+            } else if (entry.evaluation.type === 'mate' && entry.evaluation.value > 0 && entry.evaluation.value <= MAX_MATE_IN) {
+                source = 'forcingLine';
+                solution = mateSolution(fen, entry);
+            }
+            if (solution) {
+                puzzles.push({
+                    puzzleId: uuidv4(),
+                    userId: owner.userId,
+                    gameId,
+                    ply,
+                    source,
+                    fen,
+                    solution,
+                    evaluation: entry.evaluation
+                });
+            }
+        }
+    });
+
+    // Skip positions turned into puzzles by an earlier run
+    const existing = await Puzzle.find({ gameId }).select('userId ply');
+    const existingKeys = new Set(existing.map((puzzle) => `${puzzle.userId}:${puzzle.ply}`));
+    const newPuzzles = puzzles.filter((puzzle) => !existingKeys.has(`${puzzle.userId}:${puzzle.ply}`));
+    if (newPuzzles.length === 0) {
+        return 0;
+    }
+
+    await Puzzle.insertMany(newPuzzles);
+    logger.info(`Created ${newPuzzles.length} puzzles from game ${gameId}.`);
+    return newPuzzles.length;
+};
+
+/**
+ * Public view of a puzzle, without its solution.
+ * @param {Puzzle} puzzle
+ * @returns {object}
+ */
+const toPuzzleView = (puzzle) => ({
+    puzzleId: puzzle.puzzleId,
+    gameId: puzzle.gameId,
+    source: puzzle.source,
+    fen: puzzle.fen,
+    color: puzzle.fen.split(' ')[1] === 'w' ? 'white' : 'black', // The solver's side
+    solverMoves: Math.ceil(puzzle.solution.length / 2),
+    rating: Math.round(puzzle.rating.rating),
+    attempts: puzzle.stats.attempts,
+    solved: puzzle.stats.solved
+});
+
+// Public view of the user's puzzle rating
+const toPuzzleRatingSummary = (rating) => ({
+    rating: Math.round(rating.rating),
+    rd: Math.round(rating.rd),
+    attempts: rating.games,
+    provisional: rating.rd > PROVISIONAL_RD
+});
+
+/**
+ * Next puzzle due for review, earliest first, and starts an attempt at it.
+ * @param {string} userId
+ * @returns {Promise<{puzzle: object|null, nextDueAt: Date|null, puzzleRating: object}>} -
+ *   puzzle is null when none is due; nextDueAt is then when the next one is
+ */
+const getNextPuzzle = async (userId) => {
+    const user = await User.findById(userId).select('puzzleRating');
+    if (!user) {
+        throw new Error('User not found.');
+    }
+
+    const puzzle = await Puzzle.findOneAndUpdate(
+        { userId, 'review.dueAt': { $lte: new Date() } },
+        { $set: { 'attempt.progress': 0, 'attempt.startedAt': Date.now() } },
+        { sort: { 'review.dueAt': 1 }, new: true }
+    );
+    if (!puzzle) {
+        const upcoming = await Puzzle.findOne({ userId }).sort({ 'review.dueAt': 1 }).select('review.dueAt');
+        return {
+            puzzle: null,
+            nextDueAt: upcoming ? upcoming.review.dueAt : null,
+            puzzleRating: toPuzzleRatingSummary(user.puzzleRating)
+        };
+    }
+
+    return { puzzle: toPuzzleView(puzzle), nextDueAt: puzzle.review.dueAt, puzzleRating: toPuzzleRatingSummary(user.puzzleRating) };
+};
+
+/**
+ * Next review of a puzzle, after the SM-2 spaced-repetition scheme: each solve
+ * in a row lengthens the interval, a failure brings the puzzle back soon.
+ * @param {object} review - Puzzle.review
+ * @param {boolean} solved
+ * @returns {object} - The updated review fields
+ */
+const scheduleReview = (review, solved) => {
+    const now = Date.now();
+    if (!solved) {
+        return {
+            dueAt: new Date(now + RETRY_DELAY_MS),
+            intervalDays: 0,
+            ease: Math.max(review.ease - 0.2, MIN_EASE),
+            repetitions: 0,
+            lastAttemptAt: new Date(now)
+        };
+    }
+
+    const repetitions = review.repetitions + 1;
+    let intervalDays;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 3;
+    else intervalDays = Math.round(review.intervalDays * review.ease);
+
+    return {
+        dueAt: new Date(now + intervalDays * DAY_MS),
+        intervalDays,
+        ease: Math.min(review.ease + 0.1, MAX_EASE),
+        repetitions,
+        lastAttemptAt: new Date(now)
+    };
+};
+
+/**
+ * Ends an attempt: reschedules the puzzle and rates the user against it.
+ * @param {Puzzle} puzzle
+ * @param {User} user
+ * @param {boolean} solved
+ * @returns {Promise<{puzzleRating: object, ratingChange: number, nextReviewAt: Date}>}
+ */
+const finishAttempt = async (puzzle, user, solved) => {
+    const score = solved ? 1 : 0;
+    const current = user.puzzleRating;
+    const updatedUser = updateRating(current, [{ rating: puzzle.rating.rating, rd: puzzle.rating.rd, score }]);
+    const updatedPuzzle = updateRating(puzzle.rating, [{ rating: current.rating, rd: current.rd, score: 1 - score }]);
+
+    puzzle.rating = updatedPuzzle;
+    puzzle.review = scheduleReview(puzzle.review, solved);
+    puzzle.attempt = { progress: 0, startedAt: null };
+    puzzle.stats.attempts += 1;
+    if (solved) puzzle.stats.solved += 1;
+    await puzzle.save();
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                'puzzleRating.rating': updatedUser.rating,
+                'puzzleRating.rd': updatedUser.rd,
+                'puzzleRating.volatility': updatedUser.volatility,
+                'puzzleRating.lastGameAt': Date.now()
+            },
+            $inc: { 'puzzleRating.games': 1 }
+        }
+    );
+
+    logger.info(`Puzzle ${puzzle.puzzleId} ${solved ? 'solved' : 'failed'}; puzzle rating ${Math.round(current.rating)} -> ${Math.round(updatedUser.rating)}.`);
+    return {
+        puzzleRating: toPuzzleRatingSummary({ ...updatedUser, games: current.games + 1 }),
+        ratingChange: Math.round(updatedUser.rating) - Math.round(current.rating),
+        nextReviewAt: puzzle.review.dueAt
+    };
+};
+
+/**
+ * Plays one move of an attempt started with getNextPuzzle. A correct move is
+ * answered with the opponent's reply from the solution; a wrong move, or the
+ * last correct one, ends the attempt. Any move that mates is accepted.
+ * @param {string} puzzleId
+ * @param {string} userId - Must own the puzzle.
+ * @param {string|object} move - UCI (e.g. "e2e4"), SAN or { from, to, promotion }
+ * @returns {Promise<object>} - { correct, solved, reply, solution, solutionSan, puzzleRating, ratingChange, nextReviewAt };
+ *   solved is null while the attempt goes on, reply is { uci, san }, the solution is only revealed once the attempt has ended
+ */
+const attemptPuzzle = async (puzzleId, userId, move) => {
+    const puzzle = await Puzzle.findOne({ puzzleId });
+    if (!puzzle || puzzle.userId.toString() !== String(userId)) {
+        throw new Error('Puzzle not found.');
+    }
+    if (!puzzle.attempt.startedAt) {
+        throw new Error('No attempt in progress. Get the puzzle from /api/puzzles/next first.');
+    }
+
+    const chess = new Chess(puzzle.fen);
+    const { progress } = puzzle.attempt;
+    for (const played of puzzle.solution.slice(0, progress)) {
+        chess.move(played);
+    }
+
+    const result = playMove(chess, move);
+    const correct = result.lan === puzzle.solution[progress] || chess.isCheckmate();
+    const finished = !correct || chess.isCheckmate() || progress + 1 >= puzzle.solution.length;
+    if (!finished) {
+        // Played from the position after the solver's move, which matched the solution
+        const reply = toMoveNotation(chess.move(puzzle.solution[progress + 1]));
+        puzzle.attempt.progress = progress + 2;
+        await puzzle.save();
+        return { correct: true, solved: null, reply };
+    }
+
+    const user = await User.findById(userId).select('puzzleRating');
+    if (!user) {
+        throw new Error('User not found.');
+    }
+    const outcome = await finishAttempt(puzzle, user, correct);
+    return {
+        correct,
+        solved: correct,
+        reply: null,
+        solution: puzzle.solution,
+        solutionSan: toSanMoves(puzzle.fen, puzzle.solution),
+        ...outcome
+    };
+};
+
+module.exports = {
+    createPuzzlesFromGame,
+    getNextPuzzle,
+    attemptPuzzle
+};
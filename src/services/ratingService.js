@@ -0,0 +1,159 @@
+const User = require('../models/User');
+const RatingHistory = require('../models/RatingHistory');
+const logger = require('../utils/logger');
+const { updateRating } = require('../utils/glicko2');
+const { stockfishDifficultyLevels } = require('../config/stockfishConfig');
+const { getTimeControlCategory } = require('../config/timeControlConfig');
+const { RATING_CATEGORIES, DEFAULT_RATING, ENGINE_RD, PROVISIONAL_RD } = require('../config/ratingConfig');
+
+const HISTORY_LIMIT = 50; // Rating changes returned per category
+
+// The user's score from a game result, as the side they played
+const scoreFor = (result, color) => {
+    if (result === '1/2-1/2') return 0.5;
+    return (result === '1-0') === (color === 'white') ? 1 : 0;
+};
+
+/**
+ * Public view of a stored rating.
+ * @param {object} rating - A User.ratings entry
+ * @returns {{rating: number, rd: number, games: number, provisional: boolean}}
+ */
+const toRatingSummary = (rating) => ({
+    rating: Math.round(rating.rating),
+    rd: Math.round(rating.rd),
+    games: rating.games,
+    provisional: rating.rd > PROVISIONAL_RD
+});
+
+/**
+ * Updates the player's rating after a rated game against the computer. The
+ * engine counts as an opponent rated at its `elo` setting.
+ * Unrated games, games without a result and games already applied are skipped.
+ * @param {Game} gameDoc - A finished game
+ * @returns {Promise<{category: string, rating: number, change: number}|null>} - null if nothing changed
+ */
+const applyGameResult = async (gameDoc) => {
+    if (gameDoc.mode !== 'computer' || !gameDoc.rated || gameDoc.result === '*') {
+        return null;
+    }
+
+    const user = await User.findById(gameDoc.userId);
+    if (!user) {
+        return null;
+    }
+
+    const category = getTimeControlCategory(gameDoc.timeControl);
+    const current = user.ratings[category];
+    // The engine's Elo setting, from its snapshot or, for older games, its level
+    const engineRating = gameDoc.engine ? gameDoc.engine.settings.elo : stockfishDifficultyLevels[gameDoc.difficulty].elo;
+    const score = scoreFor(gameDoc.result, gameDoc.humanColor);
+    const updated = updateRating(current, [{ rating: engineRating, rd: ENGINE_RD, score }]);
+
+    try {
+        // Written first: its unique (userId, gameId) index keeps a game from counting twice
+        await RatingHistory.create({
+            userId: user._id,
+            gameId: gameDoc.gameId,
+            category,
+            ratingBefore: current.rating,
+            rating: updated.rating,
+            rd: updated.rd,
+            volatility: updated.volatility,
+            opponent: {
+                type: 'engine',
+                level: gameDoc.difficulty,
+                profileId: gameDoc.engine ? gameDoc.engine.profileId : null,
+                rating: engineRating
+            },
+            score
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            logger.warn(`Rating for game ${gameDoc.gameId} was already applied.`);
+            return null;
+        }
+        throw error;
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                [`ratings.${category}.rating`]: updated.rating,
+                [`ratings.${category}.rd`]: updated.rd,
+                [`ratings.${category}.volatility`]: updated.volatility,
+                [`ratings.${category}.lastGameAt`]: Date.now()
+            },
+            $inc: { [`ratings.${category}.games`]: 1 }
+        }
+    );
+
+    const change = Math.round(updated.rating) - Math.round(current.rating);
+    logger.info(`Rating of ${user.username} (${category}) ${Math.round(current.rating)} -> ${Math.round(updated.rating)} after game ${gameDoc.gameId}.`);
+    return { category, rating: Math.round(updated.rating), change };
+};
+
+/**
+ * Current rating of a user in the category of a time control, e.g. for matchmaking.
+ * @param {string} userId
+ * @param {object|null} timeControl - Parsed time control, null for untimed
+ * @returns {Promise<number>}
+ */
+const getCurrentRating = async (userId, timeControl) => {
+    const user = await User.findById(userId).select('ratings');
+    if (!user) {
+        return DEFAULT_RATING;
+    }
+    return Math.round(user.ratings[getTimeControlCategory(timeControl)].rating);
+};
+
+/**
+ * Ratings of a user in every category, with their recent history.
+ * @param {string} username
+ * @param {string} [category] - Only this category's history
+ * @returns {Promise<{username: string, ratings: object, history: Array<object>}>}
+ */
+const getUserRatings = async (username, category) => {
+    if (category && !RATING_CATEGORIES.includes(category)) {
+        throw new Error(`Invalid rating category: ${category}. Must be one of ${RATING_CATEGORIES.join(', ')}.`);
+    }
+
+    const user = await User.findOne({ username }).select('username ratings');
+    if (!user) {
+        throw new Error('User not found.');
+    }
+
+    const ratings = {};
+    for (const name of RATING_CATEGORIES) {
+        ratings[name] = toRatingSummary(user.ratings[name]);
+    }
+
+    const history = await RatingHistory.find({ userId: user._id, ...(category ? { category } : {}) })
+        .sort({ createdAt: -1 })
+        .limit(HISTORY_LIMIT)
+        .select('gameId category ratingBefore rating rd opponent score createdAt');
+
+    return {
+        username: user.username,
+        ratings,
+        history: history.map((entry) => ({
+            gameId: entry.gameId,
+            category: entry.category,
+            rating: Math.round(entry.rating),
+            change: Math.round(entry.rating) - Math.round(entry.ratingBefore),
+            rd: Math.round(entry.rd),
+            opponent: entry.opponent,
+            score: entry.score,
+            createdAt: entry.createdAt
+        }))
+    };
+};
+
+module.exports = {
+    applyGameResult,
+    scoreFor,
+    getCurrentRating,
+    getUserRatings,
+    toRatingSummary
+};
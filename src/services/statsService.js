@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const Game = require('../models/Game');
+const logger = require('../utils/logger');
+
+const STATS_CACHE_TTL_MS = 10 * 60 * 1000; // Stats are also invalidated when a game finishes or is analysed
+const TREND_WINDOWS_DAYS = [7, 30, 90];
+const TOP_OPENINGS = 5;
+
+const statsCache = new Map(); // userId -> { stats, expiresAt }
+
+// Counters shared by every grouping: games and win/draw/loss from the user's side
+const outcomeCounters = {
+    games: { $sum: 1 },
+    wins: { $sum: { $cond: [{ $eq: ['$outcome', 'win'] }, 1, 0] } },
+    draws: { $sum: { $cond: [{ $eq: ['$outcome', 'draw'] }, 1, 0] } },
+    losses: { $sum: { $cond: [{ $eq: ['$outcome', 'loss'] }, 1, 0] } }
+};
+
+// Outcome counters plus the score percentage (draws count half)
+const toRecord = ({ games = 0, wins = 0, draws = 0, losses = 0 } = {}) => ({
+    games,
+    wins,
+    draws,
+    losses,
+    scorePercent: games > 0 ? Math.round(((wins + draws / 2) / games) * 1000) / 10 : null
+});
+
+/**
+ * Current and longest win streaks from outcomes ordered oldest first.
+ * @param {string[]} outcomes - 'win', 'draw' or 'loss'
+ * @returns {{current: {type: string|null, length: number}, longestWin: number, longestLoss: number}}
+ */
+const computeStreaks = (outcomes) => {
+    let longestWin = 0;
+    let longestLoss = 0;
+    let run = 0;
+    let runType = null;
+
+    for (const outcome of outcomes) {
+        run = outcome === runType ? run + 1 : 1;
+        runType = outcome;
+        if (runType === 'win') longestWin = Math.max(longestWin, run);
+        if (runType === 'loss') longestLoss = Math.max(longestLoss, run);
+    }
+
+    return { current: { type: runType, length: run }, longestWin, longestLoss };
+};
+
+/**
+ * Aggregation pipeline over the user's finished games, with `color` and
+ * `outcome` (from the user's side) added to each game.
+ * @param {mongoose.Types.ObjectId} userObjectId
+ * @returns {Array<object>}
+ */
+const buildPipeline = (userObjectId) => {
+    const now = Date.now();
+    const trendFacets = {};
+    for (const days of TREND_WINDOWS_DAYS) {
+        trendFacets[`last${days}Days`] = [
+            { $match: { updatedAt: { $gte: new Date(now - days * 24 * 60 * 60 * 1000) } } },
+            { $group: { _id: null, ...outcomeCounters } }
+        ];
+    }
+
+    return [
+        {
+            $match: {
+                status: { $in: ['finished', 'analyzing'] },
+                result: { $ne: '*' },
+                $or: [
+                    { mode: 'computer', userId: userObjectId },
+                    { mode: 'human', 'playerIds.white': userObjectId },
+                    { mode: 'human', 'playerIds.black': userObjectId }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                color: {
+                    $cond: [
+                        { $eq: ['$mode', 'computer'] },
+                        '$humanColor',
+                        { $cond: [{ $eq: ['$playerIds.white', userObjectId] }, 'white', 'black'] }
+                    ]
+                }
+            }
+        },
+        {
+            $addFields: {
+                outcome: {
+                    $switch: {
+                        branches: [
+                            { case: { $eq: ['$result', '1/2-1/2'] }, then: 'draw' },
+                            {
+                                case: {
+                                    $or: [
+                                        { $and: [{ $eq: ['$result', '1-0'] }, { $eq: ['$color', 'white'] }] },
+                                        { $and: [{ $eq: ['$result', '0-1'] }, { $eq: ['$color', 'black'] }] }
+                                    ]
+                                },
+                                then: 'win'
+                            }
+                        ],
+                        default: 'loss'
+                    }
+                },
+                plies: { $size: '$moves' }
+            }
+        },
+        {
+            $facet: {
+                overall: [
+                    {
+                        $group: {
+                            _id: null,
+                            ...outcomeCounters,
+                            averagePlies: { $avg: '$plies' },
+                            assistedGames: {
+                                $sum: {
+                                    $cond: [{ $or: [{ $gt: ['$takebacks.used', 0] }, { $gt: ['$hints.used', 0] }] }, 1, 0]
+                                }
+                            }
+                        }
+                    }
+                ],
+                byDifficulty: [
+                    // Games against engine profiles have no level
+                    { $match: { mode: 'computer', difficulty: { $ne: null } } },
+                    { $group: { _id: '$difficulty', ...outcomeCounters } },
+                    { $sort: { _id: 1 } }
+                ],
+                byColor: [
+                    { $group: { _id: '$color', ...outcomeCounters } }
+                ],
+                openings: [
+                    { $match: { eco: { $ne: null } } },
+                    { $group: { _id: { eco: '$eco', name: '$openingName' }, ...outcomeCounters } },
+                    { $sort: { games: -1 } },
+                    { $limit: TOP_OPENINGS }
+                ],
+                accuracy: [
+                    { $unwind: '$analysis' },
+                    // Only the user's own moves count
+                    { $match: { $expr: { $eq: ['$analysis.color', '$color'] }, 'analysis.centipawnLoss': { $ne: null } } },
+                    {
+                        $group: {
+                            _id: null,
+                            analysedMoves: { $sum: 1 },
+                            analysedGames: { $addToSet: '$_id' },
+                            averageCentipawnLoss: { $avg: '$analysis.centipawnLoss' },
+                            mistakes: { $sum: { $cond: ['$analysis.isMistake', 1, 0] } },
+                            blunders: { $sum: { $cond: ['$analysis.isBlunder', 1, 0] } }
+                        }
+                    }
+                ],
+                outcomes: [
+                    { $sort: { updatedAt: 1 } },
+                    { $group: { _id: null, outcomes: { $push: '$outcome' } } }
+                ],
+                ...trendFacets
+            }
+        }
+    ];
+};
+
+/**
+ * Statistics over a user's finished games: results by difficulty and colour,
+ * streaks, game length, most played openings, accuracy from stored analysis
+ * and recent trends. Cached until a game of the user finishes or is analysed.
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<object>}
+ */
+const getUserStats = async (userId) => {
+    const cached = statsCache.get(String(userId));
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.stats;
+    }
+
+    const [facets] = await Game.aggregate(buildPipeline(new mongoose.Types.ObjectId(String(userId))));
+    const overall = facets.overall[0] || {};
+    const accuracy = facets.accuracy[0];
+
+    const trends = {};
+    for (const days of TREND_WINDOWS_DAYS) {
+        trends[`last${days}Days`] = toRecord(facets[`last${days}Days`][0]);
+    }
+
+    const stats = {
+        overall: {
+            ...toRecord(overall),
+            averageGameLength: overall.averagePlies === undefined ? null : {
+                plies: Math.round(overall.averagePlies),
+                moves: Math.round((overall.averagePlies / 2) * 10) / 10
+            },
+            assistedGames: overall.assistedGames || 0
+        },
+        byDifficulty: facets.byDifficulty.map(({ _id, ...record }) => ({ difficulty: _id, ...toRecord(record) })),
+        byColor: facets.byColor.map(({ _id, ...record }) => ({ color: _id, ...toRecord(record) })),
+        streaks: computeStreaks(facets.outcomes[0] ? facets.outcomes[0].outcomes : []),
+        openings: facets.openings.map(({ _id, ...record }) => ({ eco: _id.eco, name: _id.name, ...toRecord(record) })),
+        accuracy: accuracy ? {
+            analysedGames: accuracy.analysedGames.length,
+            analysedMoves: accuracy.analysedMoves,
+            averageCentipawnLoss: Math.round(accuracy.averageCentipawnLoss),
+            mistakeRate: Math.round((accuracy.mistakes / accuracy.analysedMoves) * 1000) / 10, // Percent of moves
+            blunderRate: Math.round((accuracy.blunders / accuracy.analysedMoves) * 1000) / 10
+        } : null,
+        trends,
+        generatedAt: new Date()
+    };
+
+    statsCache.set(String(userId), { stats, expiresAt: Date.now() + STATS_CACHE_TTL_MS });
+    return stats;
+};
+
+/**
+ * Drops the cached stats of every user who played in a game.
+ * @param {Game} gameDoc
+ */
+const invalidateGameStats = (gameDoc) => {
+    const userIds = [gameDoc.userId, gameDoc.playerIds && gameDoc.playerIds.white, gameDoc.playerIds && gameDoc.playerIds.black];
+    for (const userId of userIds) {
+        if (userId && statsCache.delete(String(userId))) {
+            logger.debug(`Stats cache invalidated for user ${userId}.`);
+        }
+    }
+};
+
+module.exports = {
+    getUserStats,
+    invalidateGameStats
+};
@@ -1,257 +1,224 @@
-// src/services/stockfishService.js (Updated for direct UCI)
-const { spawn } = require('child_process');
+// src/services/stockfishService.js (Shared engine pool over direct UCI, or the built-in engine)
+const fs = require('fs');
 const logger = require('../utils/logger');
-const { getStockfishOptionsForDifficulty } = require('../config/stockfishConfig');
+const { getStockfishOptions, fullStrengthOptions } = require('../config/stockfishConfig');
+const { createEnginePool } = require('./enginePool');
+const { createJsEngine } = require('./jsEngine');
+const { uciLineToSan } = require('../utils/chessRules');
 require('dotenv').config();
 
 const STOCKFISH_PATH = process.env.STOCKFISH_PATH;
-if (!STOCKFISH_PATH) {
-    logger.error('STOCKFISH_PATH is not defined in .env file. Please specify the path to your Stockfish executable.');
-    process.exit(1);
-}
-
-// Map to store active Stockfish child processes
-const stockfishProcesses = new Map(); // gameId -> { process: ChildProcess, responseQueue: [], resolve: Function, reject: Function }
+const ENGINE_BACKEND = (process.env.ENGINE_BACKEND || 'auto').toLowerCase(); // 'uci', 'js' or 'auto'
+const POOL_SIZE = parseInt(process.env.STOCKFISH_POOL_SIZE, 10) || 2;
+const ANALYSIS_DEPTH = 20;
 
 /**
- * Sends a command to the Stockfish engine and waits for a specific response or 'readyok'.
- * @param {ChildProcess} engineProcess
- * @param {string} command
- * @param {string} expectedResponseEnd - The string that indicates the end of the response (e.g., 'readyok', 'bestmove', 'No moves to consider')
- * @returns {Promise<string>} - The full response from the engine until the expected string is found.
+ * Whether a UCI engine binary can be run from a path.
+ * @param {string} [enginePath]
+ * @returns {boolean}
  */
-const sendCommandAndAwaitResponse = (engineProcess, command, expectedResponseEnd) => {
-    return new Promise((resolve, reject) => {
-        let responseBuffer = '';
-        const timeout = setTimeout(() => {
-            logger.error(`Stockfish command timed out for command: ${command}`);
-            engineProcess.removeListener('data', dataListener); // Clean up listener
-            reject(new Error(`Stockfish command timed out: ${command}`));
-        }, 10000); // 10 seconds timeout for general commands
-
-        const dataListener = (data) => {
-            const dataString = data.toString().trim();
-            responseBuffer += dataString + '\n';
-            logger.debug(`Stockfish received for command "${command}": ${dataString}`);
-
-            if (dataString.includes(expectedResponseEnd)) {
-                clearTimeout(timeout);
-                engineProcess.removeListener('data', dataListener);
-                resolve(responseBuffer);
-            }
-        };
-
-        engineProcess.stdout.on('data', dataListener);
-        engineProcess.stderr.on('data', (data) => logger.error(`Stockfish STDERR: ${data.toString()}`));
-
-        engineProcess.stdin.write(`${command}\n`);
-        logger.debug(`Stockfish sent: ${command}`);
-    });
+const isExecutable = (enginePath) => {
+    if (!enginePath) {
+        return false;
+    }
+    try {
+        fs.accessSync(enginePath, fs.constants.X_OK);
+        return true;
+    } catch (error) {
+        return false;
+    }
 };
 
 /**
- * Initializes a Stockfish engine for a given gameId.
- * @param {string} gameId
- * @param {number} difficulty - Difficulty level 1-10
+ * Picks the engine backend from ENGINE_BACKEND: 'uci' requires the Stockfish
+ * binary, 'js' always uses the built-in engine, and 'auto' uses Stockfish when
+ * the binary is there and falls back to the built-in engine otherwise.
+ * @returns {'uci'|'js'}
+ * @throws {Error} If 'uci' is requested without a usable binary, or the backend is unknown
  */
-const initializeEngine = async (gameId, difficulty = 5) => {
-    if (stockfishProcesses.has(gameId)) {
-        logger.warn(`Stockfish engine already exists for game ${gameId}. Terminating old instance.`);
-        terminateEngine(gameId);
+const selectBackend = () => {
+    if (ENGINE_BACKEND === 'js') {
+        return 'js';
+    }
+    if (ENGINE_BACKEND === 'uci') {
+        if (!isExecutable(STOCKFISH_PATH)) {
+            throw new Error(`ENGINE_BACKEND is 'uci' but STOCKFISH_PATH (${STOCKFISH_PATH || 'unset'}) is not an executable.`);
+        }
+        return 'uci';
+    }
+    if (ENGINE_BACKEND !== 'auto') {
+        throw new Error(`Invalid ENGINE_BACKEND: ${ENGINE_BACKEND}. Must be 'uci', 'js' or 'auto'.`);
     }
+    if (isExecutable(STOCKFISH_PATH)) {
+        return 'uci';
+    }
+    logger.warn(`No Stockfish executable at STOCKFISH_PATH (${STOCKFISH_PATH || 'unset'}); using the built-in engine, which is much weaker.`);
+    return 'js';
+};
 
-    try {
-        // Spawn the Stockfish executable
-        const engineProcess = spawn(STOCKFISH_PATH);
-        stockfishProcesses.set(gameId, { process: engineProcess, responseBuffer: '' });
+const backend = selectBackend();
+logger.info(`Engine backend: ${backend === 'uci' ? `Stockfish (${STOCKFISH_PATH})` : 'built-in JavaScript engine'}.`);
 
-        // UCI setup:
-        // 1. Send 'uci' command and wait for 'uciok'
-        await sendCommandAndAwaitResponse(engineProcess, 'uci', 'uciok');
-        logger.info(`Stockfish engine for game ${gameId} initialized (UCI OK).`);
+// Engines are shared by all games and analyses; each search leases one from the pool.
+// Both backends take the same search requests, UCI options are ignored by the built-in one
+const enginePool = backend === 'uci'
+    ? createEnginePool({ enginePath: STOCKFISH_PATH, size: POOL_SIZE })
+    : createJsEngine({ size: POOL_SIZE });
 
-        // 2. Set difficulty options
-        const { options } = getStockfishOptionsForDifficulty(difficulty);
-        for (const option of options) {
-            engineProcess.stdin.write(`${option}\n`);
-            logger.debug(`Sent Stockfish option for ${gameId}: ${option}`);
-        }
-        
-        // 3. Send 'isready' command and wait for 'readyok'
-        await sendCommandAndAwaitResponse(engineProcess, 'isready', 'readyok');
-        logger.info(`Stockfish engine for game ${gameId} is ready after setting options.`);
+const ERROR_CANDIDATES = 3; // Lines searched when the engine is to play a deliberate error
 
-        // 4. Send 'ucinewgame' command
-        engineProcess.stdin.write('ucinewgame\n');
+// Games that have an engine opponent registered
+const gameEngines = new Map(); // gameId -> { settings }
 
-        // 5. Send another 'isready' command and wait for 'readyok' to confirm new game state is ready
-        await sendCommandAndAwaitResponse(engineProcess, 'isready', 'readyok');
-        logger.info(`Stockfish engine for ${gameId} is ready for a new game with difficulty ${difficulty}.`);
+/**
+ * Registers the engine opponent for a given gameId.
+ * Engine processes come from the shared pool, so this only records the game's settings.
+ * @param {string} gameId
+ * @param {object} settings - Engine settings of a difficulty level or profile (see config/stockfishConfig)
+ */
+const initializeEngine = async (gameId, settings) => {
+    if (gameEngines.has(gameId)) {
+        logger.warn(`Stockfish engine already registered for game ${gameId}. Replacing its settings.`);
+    }
+    gameEngines.set(gameId, { settings });
+    logger.info(`Stockfish engine for ${gameId} registered (Elo ${settings.elo}, depth ${settings.depth}, error rate ${settings.errorRate}).`);
+};
 
-    } catch (error) {
-        logger.error(`Error initializing Stockfish for game ${gameId}: ${error.message}`);
-        // Ensure process is killed if initialization fails
-        if (stockfishProcesses.has(gameId)) {
-            stockfishProcesses.get(gameId).process.kill();
-            stockfishProcesses.delete(gameId);
-        }
-        throw new Error('Failed to initialize Stockfish engine.');
+/**
+ * Changes the settings of a registered engine opponent during its game.
+ * @param {string} gameId
+ * @param {object} settings
+ */
+const updateEngineSettings = (gameId, settings) => {
+    if (!gameEngines.has(gameId)) {
+        throw new Error(`Stockfish engine not found for game ${gameId}.`);
     }
+    gameEngines.set(gameId, { settings });
+    logger.info(`Stockfish engine for ${gameId} now plays at Elo ${settings.elo}, depth ${settings.depth}.`);
 };
 
 /**
- * Gets the best move from Stockfish for a given FEN.
+ * Gets the engine's move for a given FEN with the game's settings. With the
+ * settings' error rate, the engine deliberately plays one of its weaker
+ * candidate moves instead of the best one.
  * @param {string} gameId
  * @param {string} fen
- * @param {number} difficulty - Difficulty level (used to retrieve search parameters)
- * @returns {Promise<{bestMove: string, ponder?: string, evaluation: {type: string, value: number}, principalVariation: string}>}
+ * @param {object} [options]
+ * @param {boolean} [options.deliberateErrors=true] - false when only the evaluation is wanted
+ * @returns {Promise<{bestMove: string, ponder?: string, evaluation: {type: string, value: number}, principalVariation: string}>} -
+ *   bestMove is the move to play, and the evaluation and principalVariation are of that move's line
  */
-const getBestMove = async (gameId, fen, difficulty) => {
-    const engineEntry = stockfishProcesses.get(gameId);
-    if (!engineEntry) {
+const getBestMove = async (gameId, fen, { deliberateErrors = true } = {}) => {
+    if (!gameEngines.has(gameId)) {
         throw new Error(`Stockfish engine not found for game ${gameId}.`);
     }
-    const engineProcess = engineEntry.process;
 
-    const { searchParams } = getStockfishOptionsForDifficulty(difficulty);
-
-    return new Promise(async (resolve, reject) => {
-        let bestMove = null;
-        let ponder = null;
-        let evaluation = { type: 'cp', value: 0 };
-        let principalVariation = '';
-
-        const timeout = setTimeout(() => {
-            logger.warn(`Stockfish for game ${gameId} timed out getting move for FEN: ${fen}`);
-            // Force engine to stop thinking
-            engineProcess.stdin.write('stop\n');
-            // Give it a moment to output the last bestmove before rejecting
-            setTimeout(() => {
-                reject(new Error("Stockfish move calculation timed out."));
-            }, 500); // Wait 0.5 sec for final output
-        }, 15000); // 15 seconds timeout
-
-        // Listener for all data
-        const dataListener = (data) => {
-            const dataString = data.toString();
-            engineEntry.responseBuffer += dataString; // Accumulate response
-            logger.debug(`Stockfish for ${gameId} raw data: ${dataString.trim()}`);
-
-            // Parse info strings for evaluation and PV
-            const infoMatches = dataString.match(/info depth (\d+) seldepth \d+ multipv \d+ score (cp|mate) (-?\d+)(?: nodes \d+ nps \d+ hashfull \d+ tbhits \d+ time \d+ pv (.+))?/g);
-            if (infoMatches) {
-                // Take the last info line, which should be the deepest/most recent
-                const lastInfoMatch = infoMatches[infoMatches.length - 1].match(/info depth (\d+) seldepth \d+ multipv \d+ score (cp|mate) (-?\d+)(?: nodes \d+ nps \d+ hashfull \d+ tbhits \d+ time \d+ pv (.+))?/);
-                if (lastInfoMatch) {
-                    const [_, depth, scoreType, scoreValue, pvString] = lastInfoMatch;
-                    evaluation = { type: scoreType, value: parseInt(scoreValue, 10) };
-                    if (pvString) {
-                        principalVariation = pvString.trim();
-                    }
-                }
-            }
-
-            // Parse bestmove
-            const bestMoveMatch = dataString.match(/^bestmove ([a-h][1-8][a-h][1-8])(?: ([a-h][1-8][a-h][1-8]))?/m); // 'm' for multi-line search
-            if (bestMoveMatch) {
-                bestMove = bestMoveMatch[1];
-                ponder = bestMoveMatch[2]; // Optional ponder move
-                clearTimeout(timeout);
-                engineProcess.stdout.removeListener('data', dataListener); // Remove listener to prevent memory leaks
-                resolve({ bestMove, ponder, evaluation, principalVariation });
-            }
+    const { settings } = gameEngines.get(gameId);
+    const { options, searchParams } = getStockfishOptions(settings);
+    const playError = deliberateErrors && settings.errorRate > 0 && Math.random() < settings.errorRate;
+    logger.info(`Stockfish for game ${gameId} searching for move for FEN: ${fen} with params: ${searchParams}`);
+
+    const { bestMove, ponder, lines } = await enginePool.search({
+        fen,
+        options,
+        goCommand: searchParams,
+        multiPv: playError ? ERROR_CANDIDATES : 1,
+        timeoutMs: 15000
+    });
+    const mainLine = lines[0];
+
+    const weakerLines = playError ? lines.slice(1).filter((line) => line.principalVariation) : [];
+    if (weakerLines.length > 0) {
+        const chosen = weakerLines[Math.floor(Math.random() * weakerLines.length)];
+        logger.info(`Stockfish for game ${gameId} plays a deliberate error (line ${chosen.multipv}).`);
+        return {
+            bestMove: chosen.principalVariation.split(' ')[0],
+            ponder: null,
+            evaluation: chosen.evaluation,
+            principalVariation: chosen.principalVariation
         };
+    }
 
-        engineProcess.stdout.on('data', dataListener);
-        engineProcess.stdin.write(`position fen ${fen}\n`);
-        engineProcess.stdin.write(`${searchParams}\n`);
-        logger.info(`Stockfish for game ${gameId} searching for move for FEN: ${fen} with params: ${searchParams}`);
-    });
+    return {
+        bestMove,
+        ponder,
+        evaluation: mainLine ? mainLine.evaluation : { type: 'cp', value: 0 },
+        principalVariation: mainLine ? mainLine.principalVariation : ''
+    };
 };
 
 /**
  * Analyzes a given FEN position to get evaluation and best move.
- * This function will typically run with higher depth/movetime for analysis.
+ * This runs at full strength with a higher depth than game play.
+ * With `multiPv` above 1 the engine also returns the next best candidate moves.
  * @param {string} fen
- * @returns {Promise<{evaluation: {type: string, value: number}, bestMove: string, principalVariation: string}>}
+ * @param {object} [options]
+ * @param {number} [options.multiPv=1] - Number of candidate moves to return
+ * @returns {Promise<{evaluation: {type: string, value: number}, bestMove: string, principalVariation: string, candidates: Array<object>}>} -
+ *   Each candidate holds move (UCI), san, evaluation, depth and principalVariation (SAN), best first
  */
-const analyzePosition = async (fen) => {
-    // For analysis, we will spawn a new temporary Stockfish instance.
-    // This isolates analysis from active games.
-    let analysisEngineProcess = null;
-    try {
-        analysisEngineProcess = spawn(STOCKFISH_PATH);
-        await sendCommandAndAwaitResponse(analysisEngineProcess, 'uci', 'uciok');
-        await sendCommandAndAwaitResponse(analysisEngineProcess, 'isready', 'readyok');
-
-        let evaluation = { type: 'cp', value: 0 };
-        let bestMove = '';
-        let principalVariation = '';
-
-        return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                logger.error(`Stockfish analysis timed out for FEN: ${fen}`);
-                analysisEngineProcess.kill(); // Crucial to terminate
-                reject(new Error("Stockfish analysis timed out."));
-            }, 30000); // Longer timeout for deeper analysis (e.g., 30 seconds)
-
-            const dataListener = (data) => {
-                const dataString = data.toString();
-                logger.debug(`Analysis raw data: ${dataString.trim()}`);
-
-                const infoMatches = dataString.match(/info depth (\d+) seldepth \d+ multipv \d+ score (cp|mate) (-?\d+)(?: nodes \d+ nps \d+ hashfull \d+ tbhits \d+ time \d+ pv (.+))?/g);
-                if (infoMatches) {
-                    const lastInfoMatch = infoMatches[infoMatches.length - 1].match(/info depth (\d+) seldepth \d+ multipv \d+ score (cp|mate) (-?\d+)(?: nodes \d+ nps \d+ hashfull \d+ tbhits \d+ time \d+ pv (.+))?/);
-                    if (lastInfoMatch) {
-                        const [_, depth, scoreType, scoreValue, pvString] = lastInfoMatch;
-                        evaluation = { type: scoreType, value: parseInt(scoreValue, 10) };
-                        if (pvString) {
-                            principalVariation = pvString.trim();
-                        }
-                    }
-                }
-
-                const bestMoveMatch = dataString.match(/^bestmove ([a-h][1-8][a-h][1-8])(?: ([a-h][1-8][a-h][1-8]))?/m);
-                if (bestMoveMatch) {
-                    bestMove = bestMoveMatch[1];
-                    clearTimeout(timeout);
-                    analysisEngineProcess.stdout.removeListener('data', dataListener);
-                    analysisEngineProcess.kill(); // Important: terminate the temporary engine
-                    resolve({ evaluation, bestMove, principalVariation });
-                }
+const analyzePosition = async (fen, { multiPv = 1 } = {}) => {
+    logger.info(`Stockfish analyzing FEN: ${fen} with depth ${ANALYSIS_DEPTH} (MultiPV ${multiPv})`);
+
+    const { bestMove, lines } = await enginePool.search({
+        fen,
+        options: fullStrengthOptions,
+        goCommand: `go depth ${ANALYSIS_DEPTH}`,
+        multiPv,
+        timeoutMs: 30000 * multiPv // Longer timeout for deeper analysis; each extra line costs search time
+    });
+    const mainLine = lines[0];
+
+    const candidates = lines
+        .filter((line) => line.principalVariation)
+        .map((line) => {
+            const sanLine = uciLineToSan(fen, line.principalVariation);
+            return {
+                move: line.principalVariation.split(' ')[0],
+                san: sanLine[0] || null,
+                evaluation: line.evaluation,
+                depth: line.depth,
+                principalVariation: sanLine.join(' ')
             };
-            analysisEngineProcess.stdout.on('data', dataListener);
-
-            analysisEngineProcess.stdin.write(`position fen ${fen}\n`);
-            analysisEngineProcess.stdin.write('go depth 20\n'); // Deeper analysis depth
-            logger.info(`Stockfish analyzing FEN: ${fen} with depth 20`);
         });
-    } catch (error) {
-        logger.error(`Failed to spawn or initialize analysis Stockfish process: ${error.message}`);
-        if (analysisEngineProcess) {
-            analysisEngineProcess.kill(); // Ensure it's killed on spawn/init error
-        }
-        throw error;
-    }
-};
 
+    return {
+        evaluation: mainLine ? mainLine.evaluation : { type: 'cp', value: 0 },
+        bestMove: bestMove || '',
+        principalVariation: mainLine ? mainLine.principalVariation : '',
+        candidates
+    };
+};
 
 /**
- * Terminates a Stockfish engine for a given gameId.
+ * Unregisters the engine opponent for a given gameId.
  * @param {string} gameId
  */
 const terminateEngine = (gameId) => {
-    const engineEntry = stockfishProcesses.get(gameId);
-    if (engineEntry) {
-        engineEntry.process.kill(); // Send SIGTERM
-        stockfishProcesses.delete(gameId);
+    if (gameEngines.delete(gameId)) {
         logger.info(`Stockfish engine for game ${gameId} terminated.`);
     }
 };
 
+/**
+ * Kills every pooled engine process, e.g. on shutdown.
+ */
+const shutdown = () => {
+    enginePool.shutdown();
+};
+
+/**
+ * The engine backend in use.
+ * @returns {'uci'|'js'}
+ */
+const getBackend = () => backend;
+
 module.exports = {
+    getBackend,
     initializeEngine,
+    updateEngineSettings,
     getBestMove,
     analyzePosition,
-    terminateEngine
-};
\ No newline at end of file
+    terminateEngine,
+    shutdown
+};
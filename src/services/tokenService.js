@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const Session = require('../models/Session');
+const logger = require('../utils/logger');
+const { ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_MS, getKeys } = require('../config/authConfig');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<random>", so the session can be found without a hash lookup
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * Signs a short-lived access token for a session.
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {string}
+ */
+const signAccessToken = (userId, sessionId) => {
+    const { algorithm, signingKey } = getKeys();
+    return jwt.sign({ user: { id: String(userId) }, sid: sessionId }, signingKey, {
+        algorithm,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    });
+};
+
+/**
+ * Starts a session (on register or login) and issues its first tokens.
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.userAgent]
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number}>} - expiresIn is the access token's lifetime in seconds
+ */
+const issueTokens = async (userId, { userAgent = null } = {}) => {
+    const sessionId = uuidv4();
+    const refreshToken = newRefreshToken(sessionId);
+    await Session.create({
+        sessionId,
+        userId,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+    return { token: signAccessToken(userId, sessionId), refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token;
+ * the old refresh token stops working. Presenting a refresh token that was
+ * already exchanged revokes the whole session, as it must have been stolen.
+ * @param {string} refreshToken
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number}>}
+ */
+const refreshTokens = async (refreshToken) => {
+    const [sessionId] = String(refreshToken).split('.');
+    const session = await Session.findOne({ sessionId });
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        throw new Error('Invalid refresh token.');
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    if (presentedHash === session.previousTokenHash) {
+        session.revokedAt = new Date();
+        await session.save();
+        logger.warn(`Refresh token reuse detected for session ${sessionId}; session revoked.`);
+        throw new Error('Invalid refresh token.');
+    }
+    if (presentedHash !== session.refreshTokenHash) {
+        throw new Error('Invalid refresh token.');
+    }
+
+    const nextRefreshToken = newRefreshToken(sessionId);
+    // Conditional update, so two refreshes racing with the same token cannot both win
+    const rotated = await Session.findOneAndUpdate(
+        { sessionId, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextRefreshToken),
+                previousTokenHash: presentedHash,
+                lastUsedAt: Date.now(),
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+            }
+        },
+        { new: true }
+    );
+    if (!rotated) {
+        throw new Error('Invalid refresh token.');
+    }
+
+    return {
+        token: signAccessToken(rotated.userId, sessionId),
+        refreshToken: nextRefreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+};
+
+/**
+ * Verifies an access token and checks that its session has not been revoked.
+ * Used by the HTTP auth middleware and the socket handshake.
+ * @param {string} token
+ * @returns {Promise<{user: {id: string}, sid: string}>} - The token payload
+ * @throws {Error} If the token is invalid, expired or revoked
+ */
+const verifyAccessToken = async (token) => {
+    const { algorithm, verificationKey } = getKeys();
+    const decoded = jwt.verify(token, verificationKey, { algorithms: [algorithm] });
+    if (!decoded.sid) {
+        throw new Error('Token has no session.');
+    }
+
+    const active = await Session.exists({ sessionId: decoded.sid, revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (!active) {
+        throw new Error('Session has been revoked.');
+    }
+    return decoded;
+};
+
+/**
+ * Ends one session of a user (logout).
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+const revokeSession = async (userId, sessionId) => {
+    const result = await Session.updateOne(
+        { sessionId, userId, revokedAt: null },
+        { $set: { revokedAt: Date.now() } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Ends every session of a user ("log out everywhere").
+ * @param {string} userId
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId) => {
+    const result = await Session.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: Date.now() } });
+    logger.info(`Revoked ${result.modifiedCount} sessions of user ${userId}.`);
+    return result.modifiedCount;
+};
+
+module.exports = {
+    issueTokens,
+    refreshTokens,
+    verifyAccessToken,
+    revokeSession,
+    revokeAllSessions
+};
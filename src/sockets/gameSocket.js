@@ -0,0 +1,153 @@
+const gameService = require('../services/gameService');
+const matchmakingService = require('../services/matchmakingService');
+const presenceService = require('../services/presenceService');
+const logger = require('../utils/logger');
+
+const connectedSockets = new Map(); // userId -> number of open sockets
+
+/**
+ * Registers a game action sent by a client. The client's acknowledgement
+ * callback (if any) gets `{ ok: true, ...result }` or `{ ok: false, error }`;
+ * failures are also emitted to the socket as `errorEvent`.
+ * @param {import('socket.io').Socket} socket
+ * @param {string} event
+ * @param {string} errorEvent
+ * @param {Function} action - Receives the event payload, returns the acknowledgement fields
+ */
+const handleAction = (socket, event, errorEvent, action) => {
+    socket.on(event, async (payload, ack) => {
+        const data = payload || {};
+        try {
+            const result = await action(data);
+            if (typeof ack === 'function') ack({ ok: true, ...result });
+        } catch (error) {
+            logger.warn(`Socket ${socket.id} (${event}) failed: ${error.message}`);
+            if (typeof ack === 'function') ack({ ok: false, error: error.message });
+            socket.emit(errorEvent, { event, gameId: data.gameId, error: error.message });
+        }
+    });
+};
+
+/**
+ * Game play over Socket.IO. Sockets are authenticated by middleware/socketAuth.js,
+ * so `socket.user` is the same user as `req.user` in the HTTP routes.
+ * @param {import('socket.io').Server} io
+ */
+const registerGameSocket = (io) => {
+    io.on('connection', (socket) => {
+        const userId = socket.user.id;
+        const watchedGames = new Set(); // Games this socket spectates
+        const playedGames = new Set(); // Games this socket plays in, for presence tracking
+        connectedSockets.set(userId, (connectedSockets.get(userId) || 0) + 1);
+        logger.info(`Socket connected: ${socket.id} (User: ${userId})`);
+
+        /**
+         * Joins a game: players join its room, other users watch it read-only
+         * unless it is private. The current state is sent straight away.
+         * @param {string} gameId
+         * @returns {Promise<{role: string, color: string|null}>}
+         */
+        const enterGame = async (gameId) => {
+            const { role, color, room, state } = await gameService.getGameStateForViewer(gameId, userId);
+            socket.join(room);
+            logger.info(`Socket ${socket.id} joined game ${gameId} as ${role === 'player' ? color : 'spectator'}`);
+            socket.emit('gameState', state);
+            if (role === 'spectator') {
+                watchedGames.add(gameId);
+                gameService.notifySpectatorCount(gameId);
+            } else if (['waiting', 'playing'].includes(state.status)) {
+                playedGames.add(gameId);
+                presenceService.playerConnected(gameId, userId, color, socket.id);
+            }
+            return { role, color };
+        };
+
+        // A player coming back within the grace period is put back into their games
+        for (const gameId of presenceService.getPendingGames(userId)) {
+            enterGame(gameId).catch((error) => logger.warn(`Socket ${socket.id} could not rejoin game ${gameId}: ${error.message}`));
+        }
+
+        socket.on('joinGame', async (gameId, ack) => {
+            try {
+                const { role, color } = await enterGame(gameId);
+                if (typeof ack === 'function') ack({ ok: true, gameId, role, color });
+            } catch (error) {
+                logger.warn(`Socket ${socket.id} could not join game ${gameId}: ${error.message}`);
+                if (typeof ack === 'function') ack({ ok: false, error: error.message });
+                socket.emit('gameError', { event: 'joinGame', gameId, error: error.message });
+            }
+        });
+
+        // A player leaving a game they are playing starts the grace period, as a disconnect does
+        socket.on('leaveGame', (gameId) => {
+            socket.leave(gameId);
+            if (playedGames.delete(gameId)) {
+                presenceService.playerDisconnected(gameId, userId, socket.id);
+            }
+            if (watchedGames.delete(gameId)) {
+                socket.leave(gameService.spectatorRoom(gameId));
+                gameService.notifySpectatorCount(gameId);
+            }
+        });
+
+        // Matchmaking: a queued seeker listens here for its 'matchFound' event
+        socket.on('watchSeek', (seekId, ack) => {
+            if (!matchmakingService.isSeekOwner(seekId, userId)) {
+                if (typeof ack === 'function') ack({ ok: false, error: 'Seek not found.' });
+                return;
+            }
+            socket.join(`seek:${seekId}`);
+            logger.info(`Socket ${socket.id} watching seek ${seekId}`);
+            if (typeof ack === 'function') ack({ ok: true, seekId });
+        });
+
+        // The resulting state (and the computer's reply) reaches the room as 'gameStateUpdate'
+        handleAction(socket, 'playerMove', 'moveError', async ({ gameId, move }) => {
+            if (!move) {
+                throw new Error('Move is required.');
+            }
+            const { game, lastMove, aiMove, status } = await gameService.makeMove(gameId, move, userId);
+            return { gameId: game.gameId, status, lastMove, aiMove };
+        });
+
+        handleAction(socket, 'resign', 'gameError', async ({ gameId }) => {
+            const game = await gameService.resignGame(gameId, userId);
+            return { gameId: game.gameId, result: game.result };
+        });
+
+        handleAction(socket, 'offerDraw', 'gameError', async ({ gameId }) => {
+            const { accepted, game } = await gameService.offerDraw(gameId, userId);
+            return { gameId: game.gameId, accepted, result: game.result };
+        });
+
+        handleAction(socket, 'respondDraw', 'gameError', async ({ gameId, accept }) => {
+            const game = await gameService.respondToDrawOffer(gameId, userId, accept === true);
+            return { gameId: game.gameId, result: game.result };
+        });
+
+        handleAction(socket, 'claimDraw', 'gameError', async ({ gameId }) => {
+            const game = await gameService.claimDraw(gameId, userId);
+            return { gameId: game.gameId, result: game.result };
+        });
+
+        socket.on('disconnect', () => {
+            logger.info(`Socket disconnected: ${socket.id}`);
+            // The socket has left its rooms by now, so the counts are already lower
+            watchedGames.forEach((gameId) => gameService.notifySpectatorCount(gameId));
+            playedGames.forEach((gameId) => presenceService.playerDisconnected(gameId, userId, socket.id));
+
+            // A user with no socket left cannot hear about a match, so their seek leaves the queue
+            const remaining = connectedSockets.get(userId) - 1;
+            if (remaining > 0) {
+                connectedSockets.set(userId, remaining);
+            } else {
+                connectedSockets.delete(userId);
+                matchmakingService.cancelSeek(userId);
+            }
+        });
+    });
+};
+
+module.exports = {
+    registerGameSocket
+};
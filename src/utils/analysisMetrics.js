@@ -0,0 +1,145 @@
+// Move quality from the mover's drop in winning chances (in percentage points).
+// A move that loses less than the first bound is 'excellent', and so on.
+const CLASSIFICATION_THRESHOLDS = [
+    { maxDrop: 2, classification: 'excellent' },
+    { maxDrop: 5, classification: 'good' },
+    { maxDrop: 10, classification: 'inaccuracy' },
+    { maxDrop: 20, classification: 'mistake' }
+];
+const WINNING_CHANCE = 80; // A position is "won" above this (about +3.8 pawns)
+const ONLY_MOVE_GAP = 25; // Winning-chance lead of the best move over the second best for an "only move"
+const GRAPH_CP_LIMIT = 1000; // Evaluation graph values are clamped to +/- 10 pawns
+
+/**
+ * Winning chances (0-100) for a centipawn score, from the point of view of the
+ * side the score is for. Uses the logistic model fitted to engine games
+ * (as popularised by Lichess).
+ * @param {number} cp
+ * @returns {number}
+ */
+const winProbability = (cp) => 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+
+/**
+ * Accuracy (0-100) of a single move from the mover's winning chances before and after it.
+ * @param {number} winBefore
+ * @param {number} winAfter
+ * @returns {number}
+ */
+const moveAccuracy = (winBefore, winAfter) => {
+    const drop = Math.max(winBefore - winAfter, 0);
+    const accuracy = 103.1668 * Math.exp(-0.04354 * drop) - 3.1669;
+    return Math.min(Math.max(accuracy, 0), 100);
+};
+
+/**
+ * Classifies a move.
+ * @param {object} move
+ * @param {boolean} move.isBest - The move is the engine's best move
+ * @param {number} move.winBefore - Mover's winning chances before the move
+ * @param {number} move.winAfter - Mover's winning chances after the move
+ * @param {boolean} move.hadForcedMate - The mover had a forced mate before the move
+ * @param {boolean} move.keepsForcedMate - The mover still has a forced mate (or mated) after the move
+ * @returns {string} - 'best', 'excellent', 'good', 'inaccuracy', 'mistake', 'blunder' or 'missedWin'
+ */
+const classifyMove = ({ isBest, winBefore, winAfter, hadForcedMate, keepsForcedMate }) => {
+    if (isBest) {
+        return 'best';
+    }
+    const drop = winBefore - winAfter;
+    // A won position let slip to an unclear one, without losing outright. A forced mate counts as
+    // missed once the position is no longer won; if it still is, the drop is classified as usual.
+    const letMateSlip = hadForcedMate && !keepsForcedMate && winAfter < WINNING_CHANCE;
+    if ((letMateSlip || (winBefore >= WINNING_CHANCE && winAfter < WINNING_CHANCE - 20)) && winAfter >= 40) {
+        return 'missedWin';
+    }
+    const threshold = CLASSIFICATION_THRESHOLDS.find(({ maxDrop }) => drop < maxDrop);
+    return threshold ? threshold.classification : 'blunder';
+};
+
+/**
+ * Whether the best move was the only good one: the engine's second choice
+ * is far worse for the mover.
+ * @param {Array<{evaluation: object}>} candidates - Candidate moves, best first
+ * @param {Function} toCp - Converts an evaluation to centipawns for the side to move
+ * @returns {boolean}
+ */
+const isOnlyMove = (candidates, toCp) => {
+    if (!candidates || candidates.length < 2) {
+        return false;
+    }
+    const [best, second] = candidates;
+    return winProbability(toCp(best.evaluation)) - winProbability(toCp(second.evaluation)) >= ONLY_MOVE_GAP;
+};
+
+/**
+ * A point of the evaluation graph: the evaluation from White's side.
+ * @param {{type: string, value: number}} evaluation - From the side to move's point of view
+ * @param {boolean} whiteToMove
+ * @param {number} ply - Plies played before the position
+ * @returns {{ply: number, cp: number, mate: number|null, winChance: number}}
+ */
+const toGraphPoint = (evaluation, whiteToMove, ply) => {
+    let cp;
+    if (evaluation.type === 'mate') {
+        // Mate 0 means the side to move is checkmated
+        cp = evaluation.value > 0 ? GRAPH_CP_LIMIT : -GRAPH_CP_LIMIT;
+    } else {
+        cp = Math.min(Math.max(evaluation.value, -GRAPH_CP_LIMIT), GRAPH_CP_LIMIT);
+    }
+    const whiteCp = whiteToMove ? cp : -cp;
+    let mate = null;
+    if (evaluation.type === 'mate') {
+        mate = whiteToMove ? evaluation.value : -evaluation.value;
+    }
+    return {
+        ply,
+        cp: whiteCp,
+        mate,
+        winChance: Math.round(winProbability(whiteCp) * 10) / 10
+    };
+};
+
+/**
+ * Per-side accuracy and average centipawn loss, and the evaluation graph, of
+ * an analysed game.
+ * @param {Array<object>} entries - Game.analysis, one entry per ply
+ * @returns {{accuracy: {white: number|null, black: number|null},
+ *   averageCentipawnLoss: {white: number|null, black: number|null}, evalGraph: Array<object>}}
+ */
+const summarizeAnalysis = (entries) => {
+    const sides = {
+        white: { accuracy: [], centipawnLoss: [] },
+        black: { accuracy: [], centipawnLoss: [] }
+    };
+    const evalGraph = [];
+
+    entries.forEach((entry, ply) => {
+        const side = sides[entry.color];
+        if (side && typeof entry.accuracy === 'number') side.accuracy.push(entry.accuracy);
+        if (side && typeof entry.centipawnLoss === 'number') side.centipawnLoss.push(entry.centipawnLoss);
+        evalGraph.push(toGraphPoint(entry.evaluation, entry.color === 'white', ply));
+    });
+
+    const last = entries[entries.length - 1];
+    if (last && last.evaluationAfter && last.evaluationAfter.type) {
+        evalGraph.push(toGraphPoint(last.evaluationAfter, last.color !== 'white', entries.length));
+    }
+
+    const average = (values) => (values.length > 0
+        ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+        : null);
+
+    return {
+        accuracy: { white: average(sides.white.accuracy), black: average(sides.black.accuracy) },
+        averageCentipawnLoss: { white: average(sides.white.centipawnLoss), black: average(sides.black.centipawnLoss) },
+        evalGraph
+    };
+};
+
+module.exports = {
+    winProbability,
+    moveAccuracy,
+    classifyMove,
+    isOnlyMove,
+    summarizeAnalysis
+};
@@ -0,0 +1,149 @@
+const { Chess, validateFen } = require('chess.js');
+
+/**
+ * Whether a side still has enough material to deliver checkmate.
+ * A bare king, or a king with a single bishop or knight, cannot mate;
+ * anything more (a pawn, a rook, a queen or two minor pieces) can.
+ * @param {Chess} chess - chess.js instance
+ * @param {string} color - 'w' or 'b'
+ * @returns {boolean}
+ */
+const hasMatingMaterial = (chess, color) => {
+    const pieces = chess.board()
+        .flat()
+        .filter((square) => square && square.color === color && square.type !== 'k');
+
+    if (pieces.some((piece) => ['p', 'r', 'q'].includes(piece.type))) {
+        return true;
+    }
+    return pieces.length >= 2;
+};
+
+// Position identity for repetition purposes: placement, side to move, castling and en passant
+const positionKey = (fen) => fen.split(' ').slice(0, 4).join(' ');
+
+/**
+ * How many times the current position has occurred in the game so far.
+ * @param {Chess} chess - chess.js instance
+ * @returns {number}
+ */
+const countRepetitions = (chess) => {
+    const current = positionKey(chess.fen());
+    return chess.history({ verbose: true })
+        .filter((move) => positionKey(move.before) === current)
+        .length + 1;
+};
+
+/**
+ * Outcome of a position that has ended on the board, or null if play continues.
+ * Threefold repetition and the fifty-move rule only end the game when claimed
+ * (see getClaimableDraw); fivefold repetition and the seventy-five-move rule
+ * end it automatically.
+ * @param {Chess} chess - chess.js instance
+ * @returns {{result: string, termination: string}|null}
+ */
+const getGameOutcome = (chess) => {
+    if (chess.isCheckmate()) {
+        return { result: chess.turn() === 'w' ? '0-1' : '1-0', termination: 'checkmate' };
+    }
+    if (chess.isStalemate()) {
+        return { result: '1/2-1/2', termination: 'stalemate' };
+    }
+    if (chess.isInsufficientMaterial()) {
+        return { result: '1/2-1/2', termination: 'insufficientMaterial' };
+    }
+    const halfMoveClock = parseInt(chess.fen().split(' ')[4], 10);
+    if (halfMoveClock >= 150) {
+        return { result: '1/2-1/2', termination: 'fiftyMoveRule' };
+    }
+    if (chess.isThreefoldRepetition() && countRepetitions(chess) >= 5) {
+        return { result: '1/2-1/2', termination: 'repetition' };
+    }
+    return null;
+};
+
+/**
+ * Draw a player may claim in the current position.
+ * @param {Chess} chess - chess.js instance
+ * @returns {string|null} - 'repetition', 'fiftyMoveRule' or null
+ */
+const getClaimableDraw = (chess) => {
+    if (chess.isThreefoldRepetition()) {
+        return 'repetition';
+    }
+    if (chess.isDrawByFiftyMoves()) {
+        return 'fiftyMoveRule';
+    }
+    return null;
+};
+
+/**
+ * Converts a line of UCI moves to SAN, stopping at the first move that is not
+ * legal in the position reached.
+ * @param {string} fen - Position the line starts from
+ * @param {string} uciLine - Space-separated UCI moves, e.g. "e2e4 e7e5"
+ * @returns {string[]} - e.g. ['e4', 'e5']
+ */
+const uciLineToSan = (fen, uciLine) => {
+    const chess = new Chess(fen);
+    const sanMoves = [];
+    for (const uci of uciLine.split(' ').filter(Boolean)) {
+        try {
+            sanMoves.push(chess.move(uci).san);
+        } catch (error) {
+            break;
+        }
+    }
+    return sanMoves;
+};
+
+/**
+ * Validates a position: it must be a well-formed FEN, and legal (the side not
+ * to move is not in check). Positions that are already decided are accepted.
+ * @param {string} fen
+ * @param {string} [name='fen'] - Name of the field, for error messages
+ * @returns {Chess} - chess.js instance set up at the position
+ * @throws {Error} If the FEN is malformed or illegal
+ */
+const loadPosition = (fen, name = 'fen') => {
+    if (typeof fen !== 'string') {
+        throw new Error(`${name} must be a FEN string.`);
+    }
+    const { ok, error } = validateFen(fen.trim());
+    if (!ok) {
+        throw new Error(`Invalid ${name}: ${error.replace(/^Invalid FEN: /, '')}`); // chess.js says "Invalid FEN: ..."
+    }
+
+    const chess = new Chess(fen.trim());
+    const waitingColor = chess.turn() === 'w' ? 'b' : 'w';
+    const [waitingKing] = chess.findPiece({ type: 'k', color: waitingColor });
+    if (chess.isAttacked(waitingKing, chess.turn())) {
+        throw new Error(`Invalid ${name}: the side not to move is in check.`);
+    }
+    return chess;
+};
+
+/**
+ * Validates a custom starting position. Besides being well-formed, the position
+ * must be legal (the side not to move is not in check) and still playable.
+ * @param {string} fen
+ * @returns {Chess} - chess.js instance set up at the position
+ * @throws {Error} If the FEN is malformed, illegal or already decided
+ */
+const loadStartPosition = (fen) => {
+    const chess = loadPosition(fen, 'startFen');
+    if (getGameOutcome(chess)) {
+        throw new Error('Invalid startFen: the position is already decided.');
+    }
+    return chess;
+};
+
+module.exports = {
+    positionKey,
+    hasMatingMaterial,
+    loadPosition,
+    loadStartPosition,
+    uciLineToSan,
+    getGameOutcome,
+    getClaimableDraw
+};
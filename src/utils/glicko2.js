@@ -0,0 +1,92 @@
+const { TAU, MIN_RD, DEFAULT_RD } = require('../config/ratingConfig');
+
+const SCALE = 173.7178; // Glicko -> Glicko-2 scale factor
+const CONVERGENCE = 0.000001;
+
+// Weight of a result against an opponent whose rating is uncertain by `phi`
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+// Expected score against an opponent
+const expectedScore = (mu, muOpponent, phiOpponent) => 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+
+/**
+ * New volatility, found with the Illinois algorithm (step 5 of the Glicko-2 paper).
+ * @param {number} phi
+ * @param {number} sigma
+ * @param {number} delta
+ * @param {number} v
+ * @returns {number}
+ */
+const nextVolatility = (phi, sigma, delta, v) => {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        return (ex * (delta * delta - phi * phi - v - ex)) / (2 * Math.pow(phi * phi + v + ex, 2)) - (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k++;
+        B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE) {
+        const C = A + ((A - B) * fA) / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA /= 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    return Math.exp(A / 2);
+};
+
+/**
+ * Applies one rating period of Glicko-2 results to a player.
+ * @param {{rating: number, rd: number, volatility: number}} player
+ * @param {Array<{rating: number, rd: number, score: number}>} results - score is 1, 0.5 or 0
+ * @returns {{rating: number, rd: number, volatility: number}}
+ */
+const updateRating = (player, results) => {
+    const mu = (player.rating - 1500) / SCALE;
+    const phi = player.rd / SCALE;
+
+    const games = results.map((result) => {
+        const muOpponent = (result.rating - 1500) / SCALE;
+        const phiOpponent = result.rd / SCALE;
+        return {
+            g: g(phiOpponent),
+            E: expectedScore(mu, muOpponent, phiOpponent),
+            score: result.score
+        };
+    });
+
+    const v = 1 / games.reduce((sum, game) => sum + game.g * game.g * game.E * (1 - game.E), 0);
+    const improvement = games.reduce((sum, game) => sum + game.g * (game.score - game.E), 0);
+    const delta = v * improvement;
+
+    const volatility = nextVolatility(phi, player.volatility, delta, v);
+    const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * improvement;
+
+    return {
+        rating: newMu * SCALE + 1500,
+        rd: Math.min(Math.max(newPhi * SCALE, MIN_RD), DEFAULT_RD),
+        volatility
+    };
+};
+
+module.exports = {
+    updateRating
+};
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const Game = require('../models/Game');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_OPENING_LENGTH = 100;
+const RESULTS = ['win', 'loss', 'draw']; // From the requesting user's side
+const COLORS = ['white', 'black'];
+const SORT_FIELDS = ['updatedAt', 'createdAt'];
+const SORT_ORDERS = ['desc', 'asc'];
+const TERMINATIONS = Game.schema.path('termination').enumValues.filter(Boolean);
+
+// Repeated query parameters arrive as arrays, which no filter accepts
+const getParam = (query, name) => {
+    const value = query[name];
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    if (typeof value !== 'string') {
+        throw new Error(`${name} may only be given once.`);
+    }
+    return value;
+};
+
+const parseDifficulty = (value, name) => {
+    const difficulty = Number(value);
+    if (!Number.isInteger(difficulty) || difficulty < 1 || difficulty > 10) {
+        throw new Error(`${name} must be an integer between 1 and 10.`);
+    }
+    return difficulty;
+};
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`${name} must be a date, e.g. "2024-05-01" or "2024-05-01T12:00:00Z".`);
+    }
+    return date;
+};
+
+/**
+ * Encodes the position after the last game of a page. The cursor is opaque to
+ * clients and only valid for the sort it was issued with.
+ * @param {object} game - Needs _id and the sort field
+ * @param {{field: string, order: string}} sort
+ * @returns {string}
+ */
+const encodeCursor = (game, sort) => Buffer.from(JSON.stringify({
+    field: sort.field,
+    order: sort.order,
+    value: new Date(game[sort.field]).toISOString(),
+    id: String(game._id)
+})).toString('base64url');
+
+/**
+ * Decodes a cursor from encodeCursor.
+ * @param {string} cursor
+ * @param {{field: string, order: string}} sort - The sort of the page requested
+ * @returns {{value: Date, id: string}}
+ * @throws {Error} If the cursor is malformed or was issued for another sort
+ */
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor.');
+    }
+    const value = decoded && new Date(decoded.value);
+    if (!value || Number.isNaN(value.getTime()) || !mongoose.isValidObjectId(decoded.id)) {
+        throw new Error('Invalid cursor.');
+    }
+    if (decoded.field !== sort.field || decoded.order !== sort.order) {
+        throw new Error('The cursor was issued for another sort order; start again without it.');
+    }
+    return { value, id: decoded.id };
+};
+
+/**
+ * Parses the query string of GET /api/games/history.
+ * @param {object} query - req.query
+ * @param {string} [query.limit] - Games per page, 1-100 (default 20)
+ * @param {string} [query.cursor] - nextCursor of the previous page
+ * @param {string} [query.sort] - 'updatedAt' (default) or 'createdAt'
+ * @param {string} [query.order] - 'desc' (default) or 'asc'
+ * @param {string} [query.result] - 'win', 'loss' or 'draw', from the user's side
+ * @param {string} [query.color] - The user's colour: 'white' or 'black'
+ * @param {string} [query.minDifficulty] - 1-10; games against profiles have no difficulty and are left out
+ * @param {string} [query.maxDifficulty] - 1-10
+ * @param {string} [query.from] - Games last updated at or after this date
+ * @param {string} [query.to] - Games last updated at or before this date
+ * @param {string} [query.eco] - A full ECO code ("C50") or a prefix of one ("C5", "C")
+ * @param {string} [query.opening] - Part of the opening name, case-insensitive
+ * @param {string} [query.analysed] - 'true' or 'false'
+ * @param {string} [query.termination] - Comma-separated terminations, e.g. "checkmate,timeout"
+ * @returns {{limit: number, cursor: object|null, sort: object, filters: object}}
+ * @throws {Error} If a parameter is invalid
+ */
+const parseHistoryQuery = (query) => {
+    const limitParam = getParam(query, 'limit');
+    const limit = limitParam === undefined ? DEFAULT_LIMIT : Number(limitParam);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new Error(`limit must be an integer between 1 and ${MAX_LIMIT}.`);
+    }
+
+    const sort = { field: getParam(query, 'sort') || 'updatedAt', order: getParam(query, 'order') || 'desc' };
+    if (!SORT_FIELDS.includes(sort.field)) {
+        throw new Error(`sort must be one of ${SORT_FIELDS.join(', ')}.`);
+    }
+    if (!SORT_ORDERS.includes(sort.order)) {
+        throw new Error(`order must be one of ${SORT_ORDERS.join(', ')}.`);
+    }
+    const cursorParam = getParam(query, 'cursor');
+    const cursor = cursorParam === undefined ? null : decodeCursor(cursorParam, sort);
+
+    const filters = {};
+
+    const result = getParam(query, 'result');
+    if (result !== undefined) {
+        if (!RESULTS.includes(result)) {
+            throw new Error(`result must be one of ${RESULTS.join(', ')}.`);
+        }
+        filters.result = result;
+    }
+
+    const color = getParam(query, 'color');
+    if (color !== undefined) {
+        if (!COLORS.includes(color)) {
+            throw new Error(`color must be one of ${COLORS.join(', ')}.`);
+        }
+        filters.color = color;
+    }
+
+    const minDifficulty = getParam(query, 'minDifficulty');
+    const maxDifficulty = getParam(query, 'maxDifficulty');
+    if (minDifficulty !== undefined) filters.minDifficulty = parseDifficulty(minDifficulty, 'minDifficulty');
+    if (maxDifficulty !== undefined) filters.maxDifficulty = parseDifficulty(maxDifficulty, 'maxDifficulty');
+    if (filters.minDifficulty > filters.maxDifficulty) {
+        throw new Error('minDifficulty must not be above maxDifficulty.');
+    }
+
+    const from = getParam(query, 'from');
+    const to = getParam(query, 'to');
+    if (from !== undefined) filters.from = parseDate(from, 'from');
+    if (to !== undefined) filters.to = parseDate(to, 'to');
+    if (filters.from && filters.to && filters.from > filters.to) {
+        throw new Error('from must not be after to.');
+    }
+
+    const eco = getParam(query, 'eco');
+    if (eco !== undefined) {
+        filters.eco = eco.toUpperCase();
+        if (!/^[A-E](\d{1,2})?$/.test(filters.eco)) {
+            throw new Error('eco must be an ECO code such as "C50", or a prefix such as "C5" or "C".');
+        }
+    }
+
+    const opening = getParam(query, 'opening');
+    if (opening !== undefined) {
+        if (opening.trim().length === 0 || opening.length > MAX_OPENING_LENGTH) {
+            throw new Error(`opening must be at most ${MAX_OPENING_LENGTH} characters.`);
+        }
+        filters.opening = opening.trim();
+    }
+
+    const analysed = getParam(query, 'analysed');
+    if (analysed !== undefined) {
+        if (analysed !== 'true' && analysed !== 'false') {
+            throw new Error('analysed must be true or false.');
+        }
+        filters.analysed = analysed === 'true';
+    }
+
+    const termination = getParam(query, 'termination');
+    if (termination !== undefined) {
+        const terminations = termination.split(',').map((value) => value.trim()).filter(Boolean);
+        const unknown = terminations.filter((value) => !TERMINATIONS.includes(value));
+        if (terminations.length === 0 || unknown.length > 0) {
+            throw new Error(`termination must be a comma-separated list of ${TERMINATIONS.join(', ')}.`);
+        }
+        filters.termination = terminations;
+    }
+
+    return { limit, cursor, sort, filters };
+};
+
+module.exports = {
+    parseHistoryQuery,
+    encodeCursor
+};
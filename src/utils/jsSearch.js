@@ -0,0 +1,271 @@
+const { Chess } = require('chess.js');
+
+/**
+ * A small alpha-beta searcher on top of chess.js move generation, used when no
+ * UCI engine binary is available. It plays sensibly at low depths but is far
+ * weaker (and slower) than Stockfish.
+ */
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+const MATE_SCORE = 100000;
+const MATE_THRESHOLD = MATE_SCORE - 1000; // Scores beyond this are forced mates
+const MAX_QUIESCENCE_DEPTH = 4;
+
+// Piece-square tables from White's point of view, a8 first (simplified evaluation function)
+const PIECE_SQUARE_TABLES = {
+    p: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        50, 50, 50, 50, 50, 50, 50, 50,
+        10, 10, 20, 30, 30, 20, 10, 10,
+        5, 5, 10, 25, 25, 10, 5, 5,
+        0, 0, 0, 20, 20, 0, 0, 0,
+        5, -5, -10, 0, 0, -10, -5, 5,
+        5, 10, 10, -20, -20, 10, 10, 5,
+        0, 0, 0, 0, 0, 0, 0, 0
+    ],
+    n: [
+        -50, -40, -30, -30, -30, -30, -40, -50,
+        -40, -20, 0, 0, 0, 0, -20, -40,
+        -30, 0, 10, 15, 15, 10, 0, -30,
+        -30, 5, 15, 20, 20, 15, 5, -30,
+        -30, 0, 15, 20, 20, 15, 0, -30,
+        -30, 5, 10, 15, 15, 10, 5, -30,
+        -40, -20, 0, 5, 5, 0, -20, -40,
+        -50, -40, -30, -30, -30, -30, -40, -50
+    ],
+    b: [
+        -20, -10, -10, -10, -10, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 10, 10, 5, 0, -10,
+        -10, 5, 5, 10, 10, 5, 5, -10,
+        -10, 0, 10, 10, 10, 10, 0, -10,
+        -10, 10, 10, 10, 10, 10, 10, -10,
+        -10, 5, 0, 0, 0, 0, 5, -10,
+        -20, -10, -10, -10, -10, -10, -10, -20
+    ],
+    r: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        5, 10, 10, 10, 10, 10, 10, 5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        0, 0, 0, 5, 5, 0, 0, 0
+    ],
+    q: [
+        -20, -10, -10, -5, -5, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 5, 5, 5, 0, -10,
+        -5, 0, 5, 5, 5, 5, 0, -5,
+        0, 0, 5, 5, 5, 5, 0, -5,
+        -10, 5, 5, 5, 5, 5, 0, -10,
+        -10, 0, 5, 0, 0, 0, 0, -10,
+        -20, -10, -10, -5, -5, -10, -10, -20
+    ],
+    k: [
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -20, -30, -30, -40, -40, -30, -30, -20,
+        -10, -20, -20, -20, -20, -20, -20, -10,
+        20, 20, 0, 0, 0, 0, 20, 20,
+        20, 30, 10, 0, 0, 10, 30, 20
+    ]
+};
+
+// Thrown to unwind the search when its time is up
+class SearchTimeout extends Error {}
+
+/**
+ * Static evaluation in centipawns from the side to move's point of view.
+ * @param {Chess} chess
+ * @returns {number}
+ */
+const evaluate = (chess) => {
+    let score = 0;
+    const board = chess.board();
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const piece = board[row][col];
+            if (!piece) continue;
+            // Tables are written for White; Black reads them mirrored
+            const index = piece.color === 'w' ? row * 8 + col : (7 - row) * 8 + col;
+            const value = PIECE_VALUES[piece.type] + PIECE_SQUARE_TABLES[piece.type][index];
+            score += piece.color === 'w' ? value : -value;
+        }
+    }
+    return chess.turn() === 'w' ? score : -score;
+};
+
+// Moves are handled as SAN: chess.js builds verbose move objects (with FENs)
+// far more slowly than SAN strings, and the search needs very many of them
+const isTactical = (san) => san.includes('x') || san.includes('=');
+
+/**
+ * Orders moves for pruning: captures (most valuable victim by least valuable
+ * attacker) and promotions first, then checks.
+ * @param {Chess} chess
+ * @param {string[]} moves - SAN
+ * @returns {string[]}
+ */
+const orderMoves = (chess, moves) => moves
+    .map((san) => {
+        let priority = 0;
+        if (san.includes('x')) {
+            const target = san.match(/([a-h][1-8])(?:=[QRBN])?[+#]?$/)[1];
+            const victim = chess.get(target); // Empty for en passant
+            const attacker = /^[NBRQK]/.test(san) ? san[0].toLowerCase() : 'p';
+            priority += 1000 + 10 * PIECE_VALUES[victim ? victim.type : 'p'] - PIECE_VALUES[attacker];
+        }
+        const promotion = san.match(/=([QRBN])/);
+        if (promotion) priority += PIECE_VALUES[promotion[1].toLowerCase()];
+        if (san.endsWith('+') || san.endsWith('#')) priority += 50;
+        return { san, priority };
+    })
+    .sort((a, b) => b.priority - a.priority)
+    .map(({ san }) => san);
+
+/**
+ * Creates a search bounded by a deadline.
+ * @param {Chess} chess
+ * @param {number} deadline - Date.now() value at which the search gives up
+ * @returns {{negamax: Function, stats: {nodes: number}}}
+ */
+const createSearch = (chess, deadline) => {
+    const stats = { nodes: 0 };
+
+    const checkTime = () => {
+        // Date.now() is cheap, but there is no need to call it at every node
+        if ((++stats.nodes & 255) === 0 && Date.now() > deadline) {
+            throw new SearchTimeout();
+        }
+    };
+
+    const quiescence = (alpha, beta, qDepth) => {
+        checkTime();
+        const standPat = evaluate(chess);
+        if (standPat >= beta || qDepth === 0) return standPat;
+        if (standPat > alpha) alpha = standPat;
+
+        const captures = orderMoves(chess, chess.moves().filter(isTactical));
+        for (const move of captures) {
+            chess.move(move);
+            const score = -quiescence(-beta, -alpha, qDepth - 1);
+            chess.undo();
+            if (score >= beta) return score;
+            if (score > alpha) alpha = score;
+        }
+        return alpha;
+    };
+
+    /**
+     * @returns {{score: number, pv: string[]}} - Score for the side to move, and the line in UCI
+     */
+    const negamax = (depth, alpha, beta, ply) => {
+        checkTime();
+        const moves = chess.moves();
+        if (moves.length === 0) {
+            // Checkmated (prefer the longest defence), or stalemate
+            return { score: chess.inCheck() ? -MATE_SCORE + ply : 0, pv: [] };
+        }
+        if (ply > 0 && (chess.isInsufficientMaterial() || chess.isDrawByFiftyMoves())) {
+            return { score: 0, pv: [] };
+        }
+        if (depth === 0) {
+            return { score: quiescence(alpha, beta, MAX_QUIESCENCE_DEPTH), pv: [] };
+        }
+
+        let best = { score: -Infinity, pv: [] };
+        for (const move of orderMoves(chess, moves)) {
+            const { lan } = chess.move(move);
+            const child = negamax(depth - 1, -beta, -alpha, ply + 1);
+            chess.undo();
+            const score = -child.score;
+            if (score > best.score) {
+                best = { score, pv: [lan, ...child.pv] };
+            }
+            if (score > alpha) alpha = score;
+            if (alpha >= beta) break;
+        }
+        return best;
+    };
+
+    return { negamax, stats };
+};
+
+/**
+ * Converts a search score to a UCI-style evaluation.
+ * @param {number} score
+ * @returns {{type: string, value: number}} - Mate values are in moves, negative when getting mated
+ */
+const toEvaluation = (score) => {
+    if (Math.abs(score) >= MATE_THRESHOLD) {
+        const plies = MATE_SCORE - Math.abs(score);
+        return { type: 'mate', value: Math.sign(score) * Math.ceil(plies / 2) };
+    }
+    return { type: 'cp', value: Math.round(score) };
+};
+
+/**
+ * Searches a position with iterative deepening until `maxDepth` is reached or
+ * the time budget runs out; the deepest completed iteration is returned.
+ * Root moves are searched with a full window when several lines are wanted,
+ * so that every candidate gets an exact score.
+ * @param {string} fen
+ * @param {object} limits
+ * @param {number} limits.maxDepth
+ * @param {number} limits.movetimeMs - Time budget; depth 1 is always completed
+ * @param {number} [limits.multiPv=1]
+ * @returns {{bestMove: string|null, lines: Array<{multipv: number, depth: number, evaluation: object, principalVariation: string}>}}
+ */
+const searchPosition = (fen, { maxDepth, movetimeMs, multiPv = 1 }) => {
+    const chess = new Chess(fen);
+    const rootMoves = orderMoves(chess, chess.moves());
+    if (rootMoves.length === 0) {
+        return { bestMove: null, lines: [] };
+    }
+
+    let completed = null;
+    const startedAt = Date.now();
+    for (let depth = 1; depth <= maxDepth; depth++) {
+        // The first iteration must finish, so there is always a move to play
+        const deadline = depth === 1 ? Infinity : startedAt + movetimeMs;
+        const { negamax } = createSearch(chess, deadline);
+        const results = [];
+        try {
+            let alpha = -Infinity;
+            for (const move of rootMoves) {
+                const { lan } = chess.move(move);
+                const child = negamax(depth - 1, -Infinity, multiPv === 1 ? -alpha : Infinity, 1);
+                chess.undo();
+                const score = -child.score;
+                results.push({ san: move, score, pv: [lan, ...child.pv] });
+                if (score > alpha) alpha = score;
+            }
+        } catch (error) {
+            // The board is left mid-line, but it is not used again
+            if (error instanceof SearchTimeout) break;
+            throw error;
+        }
+
+        results.sort((a, b) => b.score - a.score);
+        completed = { depth, results };
+        // Search the best moves first next time, for better pruning
+        rootMoves.splice(0, rootMoves.length, ...results.map((result) => result.san));
+        if (Math.abs(results[0].score) >= MATE_THRESHOLD || Date.now() - startedAt > movetimeMs) break;
+    }
+
+    const lines = completed.results.slice(0, multiPv).map((result, index) => ({
+        multipv: index + 1,
+        depth: completed.depth,
+        evaluation: toEvaluation(result.score),
+        principalVariation: result.pv.join(' ')
+    }));
+    return { bestMove: lines[0].principalVariation.split(' ')[0], lines };
+};
+
+module.exports = {
+    evaluate,
+    searchPosition
+};
@@ -0,0 +1,82 @@
+const { DEFAULT_POSITION } = require('chess.js');
+const { uciLineToSan } = require('./chessRules');
+
+const SQUARE_PATTERN = /^[a-h][1-8]$/;
+const UCI_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbnQRBN])?$/; // e.g. "e2e4", "e7e8q"
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+/**
+ * Reads move input from a player or an engine. Moves are accepted in UCI, with
+ * an optional promotion suffix ("e2e4", "e7e8q"), in SAN ("Nf3", "exd8=Q+"),
+ * or as an object { from, to, promotion }.
+ * @param {string|object} input
+ * @returns {string|{from: string, to: string, promotion?: string}} - A move chess.js plays unambiguously; SAN is passed through
+ * @throws {Error} If the input has none of these forms
+ */
+const parseMove = (input) => {
+    if (input && typeof input === 'object' && !Array.isArray(input)) {
+        const { from, to, promotion } = input;
+        if (!SQUARE_PATTERN.test(from) || !SQUARE_PATTERN.test(to)) {
+            throw new Error('A move object needs from and to squares, e.g. { "from": "e2", "to": "e4" }.');
+        }
+        if (promotion === undefined || promotion === null) {
+            return { from, to };
+        }
+        if (typeof promotion !== 'string' || !PROMOTION_PIECES.includes(promotion.toLowerCase())) {
+            throw new Error('promotion must be one of q, r, b or n.');
+        }
+        return { from, to, promotion: promotion.toLowerCase() };
+    }
+
+    if (typeof input !== 'string' || !input.trim()) {
+        throw new Error('A move must be a UCI or SAN string, or { from, to, promotion }.');
+    }
+    const text = input.trim();
+    const uci = text.match(UCI_PATTERN);
+    if (uci) {
+        return uci[3] ? { from: uci[1], to: uci[2], promotion: uci[3].toLowerCase() } : { from: uci[1], to: uci[2] };
+    }
+    return text;
+};
+
+/**
+ * Plays move input on a board.
+ * @param {Chess} chess - Updated in place
+ * @param {string|object} input - See parseMove
+ * @returns {object} - The chess.js move; `lan` is its UCI form
+ * @throws {Error} If the input is malformed or the move is illegal
+ */
+const playMove = (chess, input) => {
+    const move = parseMove(input);
+    try {
+        return chess.move(move);
+    } catch (error) {
+        const piece = typeof move === 'object' ? chess.get(move.from) : null;
+        if (piece && piece.type === 'p' && !move.promotion && /[18]$/.test(move.to)) {
+            throw new Error(`Move ${move.from}${move.to} needs a promotion piece (q, r, b or n).`);
+        }
+        throw new Error(`Illegal move: ${typeof input === 'string' ? input : JSON.stringify(input)}`);
+    }
+};
+
+/**
+ * A played move in both notations, as returned by the API and socket events.
+ * @param {object} move - A chess.js move
+ * @returns {{uci: string, san: string}}
+ */
+const toMoveNotation = (move) => ({ uci: move.lan, san: move.san });
+
+/**
+ * SAN of a game's moves, replayed from its starting position.
+ * @param {string|null} startFen - null for the standard starting position
+ * @param {string[]} moves - UCI
+ * @returns {string[]}
+ */
+const toSanMoves = (startFen, moves) => uciLineToSan(startFen || DEFAULT_POSITION, moves.join(' '));
+
+module.exports = {
+    parseMove,
+    playMove,
+    toMoveNotation,
+    toSanMoves
+};
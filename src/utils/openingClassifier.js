@@ -0,0 +1,57 @@
+const { Chess } = require('chess.js');
+const logger = require('./logger');
+const { positionKey } = require('./chessRules');
+const ecoOpenings = require('../data/ecoOpenings.json');
+
+/**
+ * Indexes the bundled ECO lines by the position they reach, so that
+ * transpositions into a named line are recognised too.
+ * @returns {{book: Map<string, {eco: string, name: string}>, maxPlies: number}}
+ */
+const buildBook = () => {
+    const book = new Map();
+    let maxPlies = 0;
+
+    for (const { eco, name, moves } of ecoOpenings) {
+        const chess = new Chess();
+        const sanMoves = moves.split(' ');
+        try {
+            for (const san of sanMoves) {
+                chess.move(san);
+            }
+        } catch (error) {
+            logger.warn(`Skipping invalid ECO line ${eco} ${name}: ${error.message}`);
+            continue;
+        }
+        book.set(positionKey(chess.fen()), { eco, name });
+        maxPlies = Math.max(maxPlies, sanMoves.length);
+    }
+    return { book, maxPlies };
+};
+
+const { book, maxPlies } = buildBook();
+
+/**
+ * Finds the deepest named opening line reached by a game. Games from a custom
+ * starting position have no opening.
+ * @param {string[]} moves - Moves in UCI (or SAN) from the standard starting position
+ * @returns {{eco: string, name: string}|null}
+ */
+const classifyOpening = (moves) => {
+    const chess = new Chess();
+    let opening = null;
+
+    for (const move of moves.slice(0, maxPlies)) {
+        try {
+            chess.move(move);
+        } catch (error) {
+            break;
+        }
+        opening = book.get(positionKey(chess.fen())) || opening;
+    }
+    return opening;
+};
+
+module.exports = {
+    classifyOpening
+};